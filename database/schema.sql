@@ -127,3 +127,154 @@ CREATE TABLE IF NOT EXISTS visitor_wallets (
     INDEX idx_visitor (visitor_id)
 );
 
+
+-- Call lifecycle tracking (ring -> answer -> hangup)
+ALTER TABLE call_logs
+MODIFY COLUMN status ENUM('ringing', 'missed', 'answered', 'declined', 'failed') NOT NULL DEFAULT 'ringing',
+ADD COLUMN room_id VARCHAR(100) NULL AFTER caller_name,
+ADD COLUMN call_type ENUM('voice', 'video') DEFAULT 'voice' AFTER room_id,
+ADD COLUMN answered_at TIMESTAMP NULL AFTER started_at,
+ADD COLUMN end_reason VARCHAR(50) NULL AFTER ended_at;
+
+CREATE INDEX idx_call_logs_status ON call_logs(status);
+CREATE INDEX idx_call_logs_room ON call_logs(room_id);
+
+-- Voicemail: audio message left after an unanswered call, linked to its call log
+ALTER TABLE messages
+MODIFY COLUMN message_type ENUM('text', 'image', 'file', 'voice', 'voicemail') DEFAULT 'text',
+ADD COLUMN call_log_id INT NULL AFTER message_type,
+ADD FOREIGN KEY (call_log_id) REFERENCES call_logs(id) ON DELETE SET NULL;
+
+-- Phone callers (Twilio) are visitors keyed by their number
+ALTER TABLE visitors
+ADD COLUMN phone VARCHAR(32) NULL AFTER email,
+ADD UNIQUE KEY unique_phone (phone);
+
+ALTER TABLE call_logs
+ADD COLUMN source ENUM('webrtc', 'twilio', 'sip') DEFAULT 'webrtc' AFTER call_type;
+
+-- Outbound (dial pad) calls are logged too
+ALTER TABLE call_logs
+ADD COLUMN direction ENUM('inbound', 'outbound') DEFAULT 'inbound' AFTER source;
+
+-- SMS conversations: replies to these go out through Twilio
+ALTER TABLE conversations
+ADD COLUMN channel ENUM('web', 'sms') DEFAULT 'web' AFTER status;
+
+-- Twilio MessageSid for SMS/MMS messages
+ALTER TABLE messages
+ADD COLUMN external_id VARCHAR(64) NULL AFTER call_log_id,
+ADD INDEX idx_messages_external (external_id);
+
+-- Wallet signing challenges: single-use, bound to a visitor, short-lived
+CREATE TABLE IF NOT EXISTS wallet_challenges (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    visitor_id INT NOT NULL,
+    nonce CHAR(32) NOT NULL,
+    message TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP NULL,
+    FOREIGN KEY (visitor_id) REFERENCES visitors(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_nonce (nonce),
+    INDEX idx_expires (expires_at)
+);
+
+-- Wallet-gated access rules (a single row, edited from the owner dashboard)
+CREATE TABLE IF NOT EXISTS access_rules (
+    id TINYINT PRIMARY KEY DEFAULT 1,
+    unverified_text_only BOOLEAN DEFAULT FALSE,
+    video_requires_wallet BOOLEAN DEFAULT FALSE,
+    allowlist_only_calls BOOLEAN DEFAULT FALSE,
+    verified_priority BOOLEAN DEFAULT TRUE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+INSERT IGNORE INTO access_rules (id) VALUES (1);
+
+-- Wallet addresses the owner has allow- or deny-listed
+CREATE TABLE IF NOT EXISTS wallet_access_list (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    wallet_address VARCHAR(255) NOT NULL,
+    list_type ENUM('allow', 'deny') NOT NULL,
+    note VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_access_address (wallet_address)
+);
+
+-- Lightning invoices for paid calls and messages
+CREATE TABLE IF NOT EXISTS payments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    visitor_id INT NOT NULL,
+    payment_hash CHAR(64) NOT NULL,
+    bolt11 TEXT NOT NULL,
+    amount_sats INT NOT NULL,
+    purpose ENUM('call', 'message') NOT NULL,
+    status ENUM('pending', 'paid') DEFAULT 'pending',
+    call_log_id INT NULL,
+    message_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    paid_at TIMESTAMP NULL,
+    consumed_at TIMESTAMP NULL,
+    FOREIGN KEY (visitor_id) REFERENCES visitors(id) ON DELETE CASCADE,
+    FOREIGN KEY (call_log_id) REFERENCES call_logs(id) ON DELETE SET NULL,
+    FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_payment_hash (payment_hash),
+    INDEX idx_payments_visitor (visitor_id)
+);
+
+-- Nostr identities: verified NIP-05 name (name@domain) for the npub
+ALTER TABLE visitor_wallets
+ADD COLUMN nip05 VARCHAR(255) NULL AFTER wallet_chain;
+
+-- Owner dashboard search (FULLTEXT, boolean mode with prefix matching)
+ALTER TABLE messages ADD FULLTEXT INDEX ft_messages_content (content);
+ALTER TABLE visitors ADD FULLTEXT INDEX ft_visitors_name_email (name, email);
+ALTER TABLE attachments ADD FULLTEXT INDEX ft_attachments_name (original_name);
+ALTER TABLE call_logs ADD FULLTEXT INDEX ft_call_logs_caller (caller_name);
+
+-- Visitor tokens: signed bearer tokens for visitor routes and socket joins.
+-- Rotated on every register; the owner can revoke a visitor's tokens.
+CREATE TABLE IF NOT EXISTS visitor_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    visitor_id INT NOT NULL,
+    token_id CHAR(32) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    FOREIGN KEY (visitor_id) REFERENCES visitors(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_token_id (token_id),
+    INDEX idx_visitor_tokens_visitor (visitor_id)
+);
+
+-- Owner two-factor authentication (TOTP). recovery_codes is a JSON array of
+-- SHA-256 hashes, each removed when it is used.
+ALTER TABLE owners
+ADD COLUMN totp_secret VARCHAR(64) NULL AFTER password_hash,
+ADD COLUMN totp_enabled_at TIMESTAMP NULL AFTER totp_secret,
+ADD COLUMN totp_last_step BIGINT NULL AFTER totp_enabled_at,
+ADD COLUMN recovery_codes TEXT NULL AFTER totp_last_step;
+
+-- Owner passkeys (WebAuthn). credential_id is base64url, public_key is the
+-- SPKI DER (base64) and algorithm the COSE id (-7 ES256, -8 EdDSA, -257 RS256).
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    owner_id INT NOT NULL,
+    credential_id VARCHAR(255) NOT NULL,
+    public_key TEXT NOT NULL,
+    algorithm INT NOT NULL,
+    sign_count BIGINT NOT NULL DEFAULT 0,
+    transports VARCHAR(255) NULL,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL,
+    FOREIGN KEY (owner_id) REFERENCES owners(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_credential_id (credential_id)
+);
+
+-- Visitors that have held a token can no longer be claimed by visitorId alone;
+-- NULL marks visitors from before tokens (see VISITOR_TOKEN_LEGACY_CLAIMS).
+ALTER TABLE visitors ADD COLUMN token_issued_at TIMESTAMP NULL;
+UPDATE visitors SET token_issued_at = NOW()
+WHERE id IN (SELECT visitor_id FROM visitor_tokens);
@@ -0,0 +1,52 @@
+/**
+ * Access rule decisions - which visitor actions the owner's rules and the
+ * wallet allow/deny list permit.
+ *
+ * The database lookups stay in server.js; these take the rows they return
+ * (see test/access-rules.test.js).
+ */
+
+/**
+ * Decide whether a visitor may take an action ('voice', 'video', 'message' or
+ * 'upload'). `rules` are the owner's access rules, `wallets` the visitor's
+ * linked wallets as { wallet_address, list_type }. Deny-listed wallets are
+ * always refused; allow-listed wallets skip every other rule.
+ * Returns { allowed, reason, priority }.
+ */
+function decideAccess(rules, wallets, action) {
+  const deny = reason => ({ allowed: false, reason });
+  
+  const verified = wallets.length > 0;
+  const allowListed = wallets.some(w => w.list_type === 'allow');
+  const isCall = action === 'voice' || action === 'video';
+  
+  if (wallets.some(w => w.list_type === 'deny')) {
+    return deny('Your wallet has been blocked from contacting the owner');
+  }
+  
+  const priority = allowListed || (verified && rules.verifiedPriority) ? 'high' : 'normal';
+  if (allowListed) return { allowed: true, priority, allowListed };
+  
+  if (isCall && rules.allowlistOnlyCalls) {
+    return deny('Calls are only open to invited wallets - send a message instead');
+  }
+  if (!verified && rules.unverifiedTextOnly && action !== 'message') {
+    return deny(isCall ? 'Verify a wallet to call - unverified visitors can send text messages'
+                       : 'Verify a wallet to send files - unverified visitors can send text messages');
+  }
+  if (!verified && action === 'video' && rules.videoRequiresWallet) {
+    return deny('Verify a wallet to start a video call');
+  }
+  
+  return { allowed: true, priority };
+}
+
+/**
+ * Why a linked wallet may not be unlinked, or null when it may. A deny-listed
+ * wallet stays linked - otherwise unlinking it would lift the block.
+ */
+function unlinkRefusal(wallet) {
+  return wallet.list_type === 'deny' ? 'This wallet has been blocked and cannot be unlinked' : null;
+}
+
+export { decideAccess, unlinkRefusal };
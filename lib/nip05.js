@@ -0,0 +1,127 @@
+/**
+ * NIP-05 lookups for Nostr identities, and the guard that keeps them off
+ * private networks - the domain comes from a visitor.
+ *
+ * Kept apart from server.js so it can be tested without a running server
+ * (see test/nip05.test.js).
+ */
+
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address, family) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_NETWORKS.check(mapped[1], 'ipv4');
+  return PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that refuses private addresses - it runs when the socket connects,
+// so the answer can't change between the check and the request
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    
+    if (addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * GET a small JSON document from a host a visitor named: public addresses
+ * only, no redirects, and capped in time and size
+ */
+function fetchPublicJson(url, { timeoutMs = 5000, maxBytes = 64 * 1024 } = {}) {
+  const { hostname } = new URL(url);
+  
+  // IP literals never go through the lookup
+  const ip = hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(ip) && isPrivateAddress(ip, net.isIP(ip))) {
+    return Promise.reject(new Error(`${hostname} is a private address`));
+  }
+  
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { lookup: publicOnlyLookup, headers: { Accept: 'application/json' } }, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`${hostname} returned ${res.statusCode}`));
+      }
+      
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) return req.destroy(new Error(`${hostname} sent more than ${maxBytes} bytes`));
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch {
+          reject(new Error(`${hostname} did not return JSON`));
+        }
+      });
+    });
+    
+    const timer = setTimeout(() => req.destroy(new Error(`${hostname} timed out`)), timeoutMs);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * NIP-05 resolvers: look up name@domain and return the hex public key it
+ * points to (or null). 'stub' answers from `stub` (NOSTR_NIP05_STUB) for local
+ * testing; `fetchJson` is only swapped out by the tests.
+ */
+function createNip05Resolvers({ stub = {}, fetchJson = fetchPublicJson } = {}) {
+  return {
+    'well-known': async (name, domain) => {
+      const data = await fetchJson(`https://${domain}/.well-known/nostr.json?name=${encodeURIComponent(name)}`);
+      return data.names?.[name] || null;
+    },
+    stub: async (name, domain) => stub[`${name}@${domain}`] || null
+  };
+}
+
+// Check that a NIP-05 identifier points at this public key with `resolver`
+// (undefined when lookups are off): { nip05 } or { error }
+async function resolveNip05(resolver, identifier, pubkeyHex) {
+  if (!resolver) {
+    return { error: 'NIP-05 lookups are disabled on this server' };
+  }
+  
+  const match = /^([a-z0-9._-]+)@([a-z0-9.-]+\.[a-z]{2,})$/i.exec(identifier.trim());
+  if (!match) {
+    return { error: 'NIP-05 identifiers look like name@example.com' };
+  }
+  const [, name, domain] = match.map(part => part.toLowerCase());
+  
+  try {
+    const resolved = await resolver(name, domain);
+    if (resolved?.toLowerCase() !== pubkeyHex) {
+      return { error: `${name}@${domain} does not point to this key` };
+    }
+    return { nip05: `${name}@${domain}` };
+  } catch (err) {
+    console.error('NIP-05 lookup error:', err.message);
+    return { error: 'NIP-05 lookup failed: ' + err.message };
+  }
+}
+
+export { isPrivateAddress, publicOnlyLookup, fetchPublicJson, createNip05Resolvers, resolveNip05 };
@@ -0,0 +1,45 @@
+/**
+ * Lightning payment helpers that need no database or node - the stub backend
+ * used for local testing and the rule for which invoice pays for what.
+ *
+ * See test/payments.test.js; the LND and LNbits backends stay in server.js.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * In-memory invoices for local testing, with the same createInvoice/checkInvoice
+ * interface as the real backends. settle() stands in for the payer.
+ */
+function createStubBackend() {
+  const invoices = new Map();
+  
+  return {
+    async createInvoice({ amountSats }) {
+      const paymentHash = crypto.randomBytes(32).toString('hex');
+      invoices.set(paymentHash, { settled: false });
+      return { paymentHash, bolt11: `lnbcrt${amountSats * 10}n1stub${paymentHash.substring(0, 40)}` };
+    },
+    async checkInvoice(paymentHash) {
+      return { settled: !!invoices.get(paymentHash)?.settled };
+    },
+    // Returns false for an invoice this backend never issued
+    settle(paymentHash) {
+      const invoice = invoices.get(paymentHash);
+      if (!invoice) return false;
+      invoice.settled = true;
+      return true;
+    }
+  };
+}
+
+/**
+ * Whether a payments row can pay for this visitor's call or message: it must be
+ * theirs, for the same purpose, and not used yet - every invoice pays once.
+ * Settlement is checked with the backend separately.
+ */
+function paymentCovers(payment, visitorId, purpose) {
+  return !!payment && payment.visitorId === visitorId && payment.purpose === purpose && !payment.consumed_at;
+}
+
+export { createStubBackend, paymentCovers };
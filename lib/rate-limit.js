@@ -0,0 +1,53 @@
+/**
+ * Token bucket rate limiting - the refill and take arithmetic, and the
+ * in-memory store for a single process.
+ *
+ * Kept apart from server.js so it can be tested without a running server
+ * (see test/rate-limit.test.js). The Redis store in server.js runs the same
+ * arithmetic as a Lua script.
+ */
+
+/**
+ * Refill `bucket` ({ tokens, updatedAt }, or undefined for a full one) for the
+ * time passed since it was last used, then take one token if there is one.
+ * `capacity` is the burst, `perMinute` the refill rate. Returns the updated
+ * bucket with { allowed, retryAfter } - retryAfter in seconds.
+ */
+function takeToken(bucket, { capacity, perMinute }, now) {
+  const rate = perMinute / 60000; // tokens per ms
+  const { tokens, updatedAt } = bucket || { tokens: capacity, updatedAt: now };
+  
+  let left = Math.min(capacity, tokens + Math.max(0, now - updatedAt) * rate);
+  const allowed = left >= 1;
+  if (allowed) left -= 1;
+  
+  return {
+    bucket: { tokens: left, updatedAt: now, fullAt: now + (capacity - left) / rate },
+    allowed,
+    retryAfter: allowed ? 0 : Math.ceil((1 - left) / rate / 1000)
+  };
+}
+
+// take(key, limit) resolves to { allowed, retryAfter }, like the Redis store
+function createMemoryStore() {
+  const buckets = new Map();
+  
+  return {
+    async take(key, limit, now = Date.now()) {
+      const { bucket, allowed, retryAfter } = takeToken(buckets.get(key), limit, now);
+      buckets.set(key, bucket);
+      return { allowed, retryAfter };
+    },
+    // Buckets that have refilled completely are the same as no bucket
+    sweep(now = Date.now()) {
+      for (const [key, bucket] of buckets.entries()) {
+        if (bucket.fullAt <= now) buckets.delete(key);
+      }
+    },
+    get size() {
+      return buckets.size;
+    }
+  };
+}
+
+export { takeToken, createMemoryStore };
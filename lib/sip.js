@@ -0,0 +1,35 @@
+/**
+ * SIP settings for the owner dashboard's browser user agent (SIP.js over
+ * WebSocket).
+ *
+ * Kept apart from server.js so the credentials it hands out can be tested
+ * against a stub registrar (see test/sip.test.js).
+ */
+
+// CONFIG.sip from the SIP_* environment variables
+function sipConfigFromEnv(env) {
+  return {
+    server: env.SIP_SERVER || '',
+    domain: env.SIP_DOMAIN || env.SIP_SERVER || '',
+    wsServer: env.SIP_WS_SERVER || (env.SIP_SERVER ? `wss://${env.SIP_SERVER}:8089/ws` : ''),
+    username: env.SIP_USERNAME || '',
+    password: env.SIP_PASSWORD || '',
+    displayName: env.SIP_DISPLAY_NAME || ''
+  };
+}
+
+// What /api/sip/credentials returns, or null when SIP isn't configured
+function sipCredentials(sip, fallbackDisplayName) {
+  if (!sip.server || !sip.username) return null;
+  
+  return {
+    wsServer: sip.wsServer,
+    uri: `sip:${sip.username}@${sip.domain}`,
+    domain: sip.domain,
+    username: sip.username,
+    password: sip.password,
+    displayName: sip.displayName || fallbackDisplayName
+  };
+}
+
+export { sipConfigFromEnv, sipCredentials };
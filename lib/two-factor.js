@@ -0,0 +1,93 @@
+/**
+ * Owner two-factor primitives - base32, RFC 6238 TOTP and recovery codes.
+ *
+ * Kept apart from server.js so they can be tested without a database or a
+ * running server (see test/two-factor.test.js). Using a code up is the
+ * caller's job: server.js records it with conditional UPDATEs.
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 4648 base32 without padding - the encoding authenticator apps expect
+function base32Encode(bytes) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0, value = 0;
+  const out = [];
+  for (const char of str.toUpperCase().replace(/=+$/, '')) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// RFC 6238 TOTP: HMAC-SHA1 over the 30 second step, 6 digits (authenticator apps)
+function totpCode(secret, step, digits = 6) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits).padStart(digits, '0');
+}
+
+// The step a code belongs to (one step of clock drift either way), or null.
+// Steps up to lastStep were already used and don't count again.
+function verifyTotp(secret, code, lastStep = null, now = Date.now()) {
+  code = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(code)) return null;
+  
+  const current = Math.floor(now / 30000);
+  for (const step of [current - 1, current, current + 1]) {
+    if (lastStep !== null && step <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+// Ten single-use codes for when the authenticator is lost - only their hashes are stored
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: 10 }, () => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-'));
+  return { codes, hashes: JSON.stringify(codes.map(hashRecoveryCode)) };
+}
+
+// The stored hashes (JSON) left once `code` is spent, or null when it isn't one of them
+function spendRecoveryCode(storedHashes, code) {
+  const hashes = JSON.parse(storedHashes || '[]');
+  const hash = hashRecoveryCode(code);
+  if (!hashes.includes(hash)) return null;
+  return JSON.stringify(hashes.filter(h => h !== hash));
+}
+
+export {
+  base32Encode,
+  base32Decode,
+  totpCode,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  spendRecoveryCode
+};
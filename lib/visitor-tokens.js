@@ -0,0 +1,44 @@
+/**
+ * Visitor token signing and checking.
+ *
+ * Visitor tokens are `<visitorId>.<tokenId>.<expires>.<hmac>`. The HMAC keeps
+ * forgeries away from the database; the visitor_tokens row makes each one
+ * individually rotatable and revocable.
+ *
+ * Kept apart from server.js so it can be tested without a database (see
+ * test/visitor-tokens.test.js); storing and looking up the rows stays there.
+ */
+
+import crypto from 'crypto';
+
+function signPayload(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function createVisitorToken(secret, visitorId, tokenId, expiresAt) {
+  const payload = `${visitorId}.${tokenId}.${Math.floor(expiresAt.getTime() / 1000)}`;
+  return `${payload}.${signPayload(secret, payload)}`;
+}
+
+// { visitorId, tokenId } for a well-formed, correctly signed, unexpired token - otherwise null
+function parseVisitorToken(secret, token, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+  
+  const parts = token.split('.');
+  if (parts.length !== 4) return null;
+  
+  const [visitorId, tokenId, expires, signature] = parts;
+  const expected = Buffer.from(signPayload(secret, `${visitorId}.${tokenId}.${expires}`));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  if (!/^\d+$/.test(expires) || parseInt(expires) * 1000 < now) return null;
+  
+  return { visitorId, tokenId };
+}
+
+// Whether the token's visitor_tokens row (revoked_at, expires_at) still lets it in
+function isTokenRowActive(row, now = Date.now()) {
+  return !!row && !row.revoked_at && new Date(row.expires_at).getTime() > now;
+}
+
+export { createVisitorToken, parseVisitorToken, isTokenRowActive };
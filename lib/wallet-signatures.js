@@ -0,0 +1,496 @@
+/**
+ * Wallet signature primitives - Base58, hashing, bech32, BIP-322 and
+ * Lightning signmessage verification.
+ *
+ * Kept apart from server.js so they can be tested without a database or a
+ * running server (see test/wallet-signatures.test.js).
+ */
+
+import crypto from 'crypto';
+
+// Optional like the other wallet libraries - the verifiers report themselves unavailable without it
+let secp256k1, schnorr;
+try {
+  ({ secp256k1, schnorr } = await import('@noble/curves/secp256k1'));
+} catch {}
+
+// =============================================================================
+// BASE58 & HASHING
+// =============================================================================
+
+// Base58 encoding alphabet (Bitcoin standard)
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Encode bytes to Base58
+function base58Encode(buffer) {
+  const bytes = Buffer.from(buffer);
+  let num = BigInt('0x' + bytes.toString('hex'));
+  let result = '';
+  
+  while (num > 0n) {
+    const remainder = num % 58n;
+    num = num / 58n;
+    result = BASE58_ALPHABET[Number(remainder)] + result;
+  }
+  
+  // Add leading zeros
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    result = '1' + result;
+  }
+  
+  return result;
+}
+
+// Decode Base58 to bytes
+function base58Decode(str) {
+  let num = 0n;
+  for (const char of str) {
+    const index = BASE58_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid Base58 character');
+    num = num * 58n + BigInt(index);
+  }
+  
+  let hex = num.toString(16);
+  if (hex.length % 2) hex = '0' + hex;
+  
+  // Add leading zeros
+  let leadingZeros = 0;
+  for (const char of str) {
+    if (char === '1') leadingZeros++;
+    else break;
+  }
+  
+  return Buffer.from('00'.repeat(leadingZeros) + hex, 'hex');
+}
+
+// SHA256 hash
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+// Double SHA256
+function doubleSha256(data) {
+  return sha256(sha256(data));
+}
+
+// RIPEMD160 hash (with fallback)
+function ripemd160(data) {
+  try {
+    return crypto.createHash('ripemd160').update(data).digest();
+  } catch {
+    console.warn('RIPEMD160 not available, using SHA256 truncated');
+    return sha256(data).slice(0, 20);
+  }
+}
+
+// Hash160 (SHA256 + RIPEMD160)
+function hash160(data) {
+  return ripemd160(sha256(data));
+}
+
+// =============================================================================
+// BIP-322 (SegWit / Taproot message signatures)
+// =============================================================================
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+function bech32Polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= GEN[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+/**
+ * Decode a SegWit address (BIP-173 bech32 for v0, BIP-350 bech32m for v1+)
+ * Returns { version, program } or null
+ */
+function decodeSegwitAddress(address) {
+  const lower = address.toLowerCase();
+  const sep = lower.lastIndexOf('1');
+  const hrp = lower.slice(0, sep);
+  if (!['bc', 'tb'].includes(hrp) || address !== lower && address !== address.toUpperCase()) return null;
+  
+  const data = [];
+  for (const char of lower.slice(sep + 1)) {
+    const index = BECH32_CHARSET.indexOf(char);
+    if (index === -1) return null;
+    data.push(index);
+  }
+  if (data.length < 7) return null;
+  
+  const hrpExpanded = [...hrp].map(c => c.charCodeAt(0) >> 5)
+    .concat(0, [...hrp].map(c => c.charCodeAt(0) & 31));
+  const checksum = bech32Polymod(hrpExpanded.concat(data));
+  const version = data[0];
+  if (checksum !== (version === 0 ? BECH32_CONST : BECH32M_CONST)) return null;
+  
+  // 5-bit groups -> bytes
+  let acc = 0, bits = 0;
+  const program = [];
+  for (const value of data.slice(1, -6)) {
+    acc = (acc << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      program.push((acc >> bits) & 0xff);
+    }
+  }
+  if (bits >= 5 || (acc & ((1 << bits) - 1))) return null;
+  
+  return { version, program: Buffer.from(program) };
+}
+
+// BIP-340 tagged hash
+function taggedHash(tag, ...data) {
+  const tagHash = sha256(Buffer.from(tag, 'utf8'));
+  return sha256(Buffer.concat([tagHash, tagHash, ...data]));
+}
+
+function encodeVarInt(n) {
+  if (n < 0xfd) return Buffer.from([n]);
+  const buf = Buffer.alloc(3);
+  buf[0] = 0xfd;
+  buf.writeUInt16LE(n, 1);
+  return buf;
+}
+
+function uint32LE(n) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(n >>> 0);
+  return buf;
+}
+
+const withLength = (data) => Buffer.concat([encodeVarInt(data.length), data]);
+
+// Minimal cursor for parsing witness stacks and transactions
+function byteReader(buffer) {
+  let offset = 0;
+  const reader = {
+    bytes(n) {
+      if (offset + n > buffer.length) throw new Error('Unexpected end of data');
+      const out = buffer.subarray(offset, offset + n);
+      offset += n;
+      return out;
+    },
+    uint8: () => reader.bytes(1)[0],
+    uint32: () => reader.bytes(4).readUInt32LE(0),
+    varint() {
+      const first = reader.uint8();
+      if (first < 0xfd) return first;
+      if (first === 0xfd) return reader.bytes(2).readUInt16LE(0);
+      if (first === 0xfe) return reader.uint32();
+      throw new Error('Varint too large');
+    },
+    varBytes: () => reader.bytes(reader.varint()),
+    witness() {
+      const items = [];
+      for (let n = reader.varint(); n > 0; n--) items.push(reader.varBytes());
+      return items;
+    },
+    done: () => offset === buffer.length
+  };
+  return reader;
+}
+
+// Is this a legacy 65-byte compact signature rather than a BIP-322 witness?
+function isCompactSignature(signature) {
+  return /^[A-Za-z0-9+/]{86,88}={0,2}$/.test(signature) && Buffer.from(signature, 'base64').length === 65;
+}
+
+// Script the BIP-322 virtual transaction pays to, or null for unsupported addresses
+function bip322ScriptPubKey(address) {
+  const segwit = decodeSegwitAddress(address);
+  if (segwit) {
+    if (segwit.version === 0 && segwit.program.length === 20) {
+      return { type: 'p2wpkh', script: Buffer.concat([Buffer.from([0x00, 0x14]), segwit.program]), hash: segwit.program };
+    }
+    if (segwit.version === 1 && segwit.program.length === 32) {
+      return { type: 'p2tr', script: Buffer.concat([Buffer.from([0x51, 0x20]), segwit.program]), outputKey: segwit.program };
+    }
+    return null;
+  }
+  
+  try {
+    const decoded = base58Decode(address);
+    const payload = decoded.subarray(0, -4);
+    if (!doubleSha256(payload).subarray(0, 4).equals(decoded.subarray(-4))) return null;
+    if ((payload[0] === 0x05 || payload[0] === 0xc4) && payload.length === 21) {
+      const hash = payload.subarray(1);
+      return { type: 'p2sh', script: Buffer.concat([Buffer.from([0xa9, 0x14]), hash, Buffer.from([0x87])]), hash };
+    }
+  } catch {}
+  
+  return null;
+}
+
+/**
+ * Build the BIP-322 "to_spend" transaction id for a message and address script
+ */
+function bip322ToSpendTxid(message, scriptPubKey) {
+  const messageHash = taggedHash('BIP0322-signed-message', Buffer.from(message, 'utf8'));
+  const tx = Buffer.concat([
+    uint32LE(0),                                   // version
+    Buffer.from([0x01]),                           // 1 input
+    Buffer.alloc(32), uint32LE(0xffffffff),        // prevout 000...000:0xFFFFFFFF
+    withLength(Buffer.concat([Buffer.from([0x00, 0x20]), messageHash])), // OP_0 PUSH32 message_hash
+    uint32LE(0),                                   // sequence
+    Buffer.from([0x01]),                           // 1 output
+    Buffer.alloc(8),                               // value 0
+    withLength(scriptPubKey),
+    uint32LE(0)                                    // locktime
+  ]);
+  return doubleSha256(tx);
+}
+
+/**
+ * Parse a BIP-322 signature into the single-input "to_sign" transaction.
+ * Simple signatures are just the witness stack; full signatures are the
+ * whole transaction (which must spend to_spend and pay to OP_RETURN).
+ */
+function parseBIP322Signature(signature, toSpendTxid) {
+  const raw = Buffer.from(signature, 'base64');
+  const simple = { version: 0, sequence: 0, lockTime: 0, scriptSig: Buffer.alloc(0) };
+  
+  try {
+    const reader = byteReader(raw);
+    const witness = reader.witness();
+    if (reader.done()) return { ...simple, witness };
+  } catch {}
+  
+  // Full format: segwit-serialized transaction
+  const reader = byteReader(raw);
+  const version = reader.uint32();
+  if (reader.uint8() !== 0x00 || reader.uint8() !== 0x01) throw new Error('Not a BIP-322 signature');
+  if (reader.varint() !== 1) throw new Error('Only single-input BIP-322 signatures are supported');
+  
+  const prevTxid = reader.bytes(32);
+  const prevIndex = reader.uint32();
+  const scriptSig = reader.varBytes();
+  const sequence = reader.uint32();
+  if (!prevTxid.equals(toSpendTxid) || prevIndex !== 0) throw new Error('Signature does not spend this message');
+  
+  if (reader.varint() !== 1) throw new Error('BIP-322 to_sign must have one output');
+  const value = reader.bytes(8);
+  const outputScript = reader.varBytes();
+  if (!value.equals(Buffer.alloc(8)) || !outputScript.equals(Buffer.from([0x6a]))) {
+    throw new Error('BIP-322 to_sign output must be OP_RETURN');
+  }
+  
+  const witness = reader.witness();
+  const lockTime = reader.uint32();
+  if (!reader.done()) throw new Error('Trailing data in signature');
+  
+  return { version, sequence, lockTime, scriptSig, witness };
+}
+
+// BIP-143 sighash (SIGHASH_ALL) for input 0 of to_sign spending a P2WPKH output
+function bip143Sighash(toSign, toSpendTxid, pubKeyHash) {
+  const outpoint = Buffer.concat([toSpendTxid, uint32LE(0)]);
+  const output = Buffer.concat([Buffer.alloc(8), withLength(Buffer.from([0x6a]))]);
+  const scriptCode = Buffer.concat([Buffer.from([0x76, 0xa9, 0x14]), pubKeyHash, Buffer.from([0x88, 0xac])]);
+  
+  return doubleSha256(Buffer.concat([
+    uint32LE(toSign.version),
+    doubleSha256(outpoint),
+    doubleSha256(uint32LE(toSign.sequence)),
+    outpoint,
+    withLength(scriptCode),
+    Buffer.alloc(8),                               // amount 0
+    uint32LE(toSign.sequence),
+    doubleSha256(output),
+    uint32LE(toSign.lockTime),
+    uint32LE(0x01)
+  ]));
+}
+
+// BIP-341 key-path sighash for input 0 of to_sign spending a P2TR output
+function bip341Sighash(toSign, toSpendTxid, scriptPubKey, hashType) {
+  const outpoint = Buffer.concat([toSpendTxid, uint32LE(0)]);
+  const output = Buffer.concat([Buffer.alloc(8), withLength(Buffer.from([0x6a]))]);
+  
+  return taggedHash('TapSighash', Buffer.concat([
+    Buffer.from([0x00, hashType]),                 // epoch, hash type
+    uint32LE(toSign.version),
+    uint32LE(toSign.lockTime),
+    sha256(outpoint),
+    sha256(Buffer.alloc(8)),                       // amounts
+    sha256(withLength(scriptPubKey)),
+    sha256(uint32LE(toSign.sequence)),
+    sha256(output),
+    Buffer.from([0x00]),                           // key path, no annex
+    uint32LE(0)                                    // input index
+  ]));
+}
+
+// Check a P2WPKH witness [DER sig + hashtype, pubkey] against the key hash
+function verifyP2WPKHWitness(toSign, toSpendTxid, witness, pubKeyHash) {
+  if (witness.length !== 2) return { valid: false, error: 'P2WPKH witness must have 2 items' };
+  
+  const [sigWithType, pubKey] = witness;
+  if (pubKey.length !== 33 || !hash160(pubKey).equals(pubKeyHash)) {
+    return { valid: false, error: 'Public key does not match address' };
+  }
+  if (sigWithType[sigWithType.length - 1] !== 0x01) {
+    return { valid: false, error: 'Only SIGHASH_ALL signatures are supported' };
+  }
+  
+  const sighash = bip143Sighash(toSign, toSpendTxid, pubKeyHash);
+  const valid = secp256k1.verify(sigWithType.subarray(0, -1), sighash, pubKey, { prehash: false, format: 'der' });
+  return { valid };
+}
+
+/**
+ * Verify a BIP-322 (simple or full) signature for P2WPKH, P2SH-P2WPKH and P2TR addresses
+ */
+async function verifyBIP322Signature(address, message, signature) {
+  if (!secp256k1 || !schnorr) {
+    return { valid: false, error: 'BIP-322 verification unavailable (install @noble/curves)' };
+  }
+  
+  const target = bip322ScriptPubKey(address);
+  if (!target) {
+    return { valid: false, error: 'Unsupported address type for BIP-322' };
+  }
+  
+  try {
+    const toSpendTxid = bip322ToSpendTxid(message, target.script);
+    const toSign = parseBIP322Signature(signature.trim(), toSpendTxid);
+    const { witness } = toSign;
+    
+    switch (target.type) {
+      case 'p2wpkh':
+        if (toSign.scriptSig.length > 0) return { valid: false, error: 'Unexpected scriptSig' };
+        return verifyP2WPKHWitness(toSign, toSpendTxid, witness, target.hash);
+        
+      case 'p2sh': {
+        // P2SH-P2WPKH: redeem script OP_0 PUSH20<key hash>, pushed in scriptSig (implicit for simple)
+        const pubKey = witness[1];
+        if (!pubKey) return { valid: false, error: 'P2SH-P2WPKH witness must have 2 items' };
+        const redeemScript = Buffer.concat([Buffer.from([0x00, 0x14]), hash160(pubKey)]);
+        if (!hash160(redeemScript).equals(target.hash)) {
+          return { valid: false, error: 'Public key does not match address' };
+        }
+        if (toSign.scriptSig.length > 0 && !toSign.scriptSig.equals(withLength(redeemScript))) {
+          return { valid: false, error: 'Unexpected scriptSig' };
+        }
+        return verifyP2WPKHWitness(toSign, toSpendTxid, witness, hash160(pubKey));
+      }
+        
+      case 'p2tr': {
+        // Key-path spend only: [64-byte sig] or [64-byte sig + hash type]
+        if (witness.length !== 1 || ![64, 65].includes(witness[0].length)) {
+          return { valid: false, error: 'Only Taproot key-path signatures are supported' };
+        }
+        const hashType = witness[0].length === 65 ? witness[0][64] : 0x00;
+        if (hashType !== 0x00 && hashType !== 0x01) {
+          return { valid: false, error: 'Only SIGHASH_DEFAULT/ALL signatures are supported' };
+        }
+        const sighash = bip341Sighash(toSign, toSpendTxid, target.script, hashType);
+        return { valid: schnorr.verify(witness[0].subarray(0, 64), sighash, target.outputKey) };
+      }
+    }
+  } catch (err) {
+    console.error('BIP-322 verification error:', err.message);
+    return { valid: false, error: 'Invalid signature: ' + err.message };
+  }
+}
+
+// =============================================================================
+// LIGHTNING (LND signmessage)
+// =============================================================================
+
+// z-base-32 alphabet used by LND's signmessage
+const ZBASE32_ALPHABET = 'ybndrfg8ejkmcpqxot1uwisza345h769';
+
+// Decode z-base-32 to bytes (leftover bits at the end are padding)
+function zbase32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  
+  for (const char of str) {
+    const index = ZBASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid z-base-32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((value >> bits) & 0xff);
+    }
+  }
+  
+  return Buffer.from(bytes);
+}
+
+/**
+ * Verify Lightning node signature (LND `signmessage` / WebLN)
+ * The signature is a z-base-32 encoded 65-byte compact signature over
+ * doubleSha256("Lightning Signed Message:" + message). The node's public key
+ * is recovered from it and compared against the supplied pubkey.
+ */
+async function verifyLightningSignature(address, message, signature) {
+  // The "address" is the node's public key (66 hex chars, compressed)
+  if (!/^0[23][0-9a-fA-F]{64}$/.test(address)) {
+    return { valid: false, error: 'Invalid Lightning node public key' };
+  }
+  
+  if (!secp256k1) {
+    return { valid: false, error: 'Lightning verification unavailable (install @noble/curves)' };
+  }
+  
+  try {
+    const sigBytes = zbase32Decode(signature.trim());
+    if (sigBytes.length !== 65) {
+      return { valid: false, error: 'Invalid signature length' };
+    }
+    
+    // Header byte: 27 + recovery id (+ 4 for compressed keys)
+    const recovery = sigBytes[0] - 27 - (sigBytes[0] >= 31 ? 4 : 0);
+    if (recovery < 0 || recovery > 3) {
+      return { valid: false, error: 'Invalid signature recovery flag' };
+    }
+    
+    const digest = doubleSha256(Buffer.from('Lightning Signed Message:' + message, 'utf8'));
+    const recovered = secp256k1.Signature
+      .fromCompact(sigBytes.subarray(1))
+      .addRecoveryBit(recovery)
+      .recoverPublicKey(digest)
+      .toHex(true);
+    
+    if (recovered !== address.toLowerCase()) {
+      return { valid: false, error: 'Signature does not match node public key' };
+    }
+    
+    return { valid: true };
+  } catch (err) {
+    console.error('Lightning signature verification error:', err.message);
+    return { valid: false, error: 'Invalid signature: ' + err.message };
+  }
+}
+
+export {
+  BASE58_ALPHABET,
+  base58Encode,
+  base58Decode,
+  sha256,
+  doubleSha256,
+  hash160,
+  BECH32_CHARSET,
+  BECH32_CONST,
+  bech32Polymod,
+  decodeSegwitAddress,
+  isCompactSignature,
+  bip322ToSpendTxid,
+  verifyBIP322Signature,
+  zbase32Decode,
+  verifyLightningSignature
+};
@@ -0,0 +1,168 @@
+/**
+ * Passkey (WebAuthn) verification - a minimal CBOR/COSE decoder and the
+ * registration and assertion checks.
+ *
+ * Kept apart from server.js so they can be tested without a database or a
+ * running server (see test/webauthn.test.js). Challenges, origins and the
+ * RP ID come from the caller.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Minimal CBOR decoder for attestation objects and COSE keys - definite
+ * lengths, integers, byte/text strings, arrays, maps and simple values, which
+ * is everything authenticators send. Returns { value, offset }.
+ */
+function cborDecode(buf, offset = 0) {
+  const initial = buf[offset++];
+  const major = initial >> 5;
+  const info = initial & 31;
+  
+  let length = info;
+  if (info === 24) { length = buf.readUInt8(offset); offset += 1; }
+  else if (info === 25) { length = buf.readUInt16BE(offset); offset += 2; }
+  else if (info === 26) { length = buf.readUInt32BE(offset); offset += 4; }
+  else if (info === 27) { length = Number(buf.readBigUInt64BE(offset)); offset += 8; }
+  else if (info > 27) throw new Error('Unsupported CBOR item');
+  
+  if ((major === 2 || major === 3) && offset + length > buf.length) throw new Error('Truncated CBOR');
+  
+  switch (major) {
+    case 0: return { value: length, offset };
+    case 1: return { value: -1 - length, offset };
+    case 2: return { value: buf.subarray(offset, offset + length), offset: offset + length };
+    case 3: return { value: buf.toString('utf8', offset, offset + length), offset: offset + length };
+    case 4: {
+      const value = [];
+      for (let i = 0; i < length; i++) {
+        const item = cborDecode(buf, offset);
+        value.push(item.value);
+        offset = item.offset;
+      }
+      return { value, offset };
+    }
+    case 5: {
+      const value = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = cborDecode(buf, offset);
+        const item = cborDecode(buf, key.offset);
+        value.set(key.value, item.value);
+        offset = item.offset;
+      }
+      return { value, offset };
+    }
+    case 7:
+      if (info === 20) return { value: false, offset };
+      if (info === 21) return { value: true, offset };
+      if (info === 22) return { value: null, offset };
+  }
+  throw new Error('Unsupported CBOR item');
+}
+
+// rpIdHash (32) | flags (1) | signCount (4) | [aaguid (16) | idLength (2) | credentialId | COSE key]
+function parseAuthenticatorData(authData) {
+  if (authData.length < 37) throw new Error('Authenticator data too short');
+  
+  const data = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33)
+  };
+  
+  if (data.flags & 0x40) {
+    const idLength = authData.readUInt16BE(53);
+    data.credentialId = authData.subarray(55, 55 + idLength);
+    data.credentialPublicKey = cborDecode(authData, 55 + idLength).value;
+  }
+  return data;
+}
+
+// COSE key -> SPKI (base64) Node can verify with: ES256, EdDSA (Ed25519) and RS256
+function coseToPublicKey(cose) {
+  const kty = cose.get(1);
+  const alg = cose.get(3);
+  const b64 = bytes => Buffer.from(bytes).toString('base64url');
+  
+  let jwk;
+  if (kty === 2 && alg === -7 && cose.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: b64(cose.get(-2)), y: b64(cose.get(-3)) };
+  } else if (kty === 1 && alg === -8 && cose.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: b64(cose.get(-2)) };
+  } else if (kty === 3 && alg === -257) {
+    jwk = { kty: 'RSA', n: b64(cose.get(-1)), e: b64(cose.get(-2)) };
+  } else {
+    throw new Error('Unsupported passkey algorithm');
+  }
+  
+  const spki = crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'der' });
+  return { algorithm: alg, publicKey: spki.toString('base64') };
+}
+
+/**
+ * Checks shared by both ceremonies - throws with the reason. `expected` is
+ * { challenge, rpId, origins, requireUserVerification }; user verification
+ * (PIN/biometrics) is required unless turned off, since for the owner a
+ * passkey replaces password and 2FA.
+ */
+function checkWebAuthnResponse(clientDataJSON, authData, type, expected) {
+  const clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  if (clientData.type !== type) throw new Error('Wrong WebAuthn ceremony');
+  if (clientData.challenge !== expected.challenge) throw new Error('Challenge mismatch');
+  if (!expected.origins.includes(clientData.origin)) throw new Error(`Origin ${clientData.origin} is not allowed`);
+  
+  const expectedRpIdHash = crypto.createHash('sha256').update(expected.rpId).digest();
+  if (!authData.rpIdHash.equals(expectedRpIdHash)) throw new Error('Passkey belongs to a different site');
+  if (!(authData.flags & 0x01)) throw new Error('User presence required');
+  if (expected.requireUserVerification !== false && !(authData.flags & 0x04)) throw new Error('User verification required');
+}
+
+/**
+ * Registration (attestation "none" - the authenticator's make isn't checked).
+ * `credential` is the JSON the browser page sends. Returns the row fields.
+ */
+function verifyPasskeyRegistration(credential, expected) {
+  const clientDataJSON = Buffer.from(credential.response.clientDataJSON, 'base64url');
+  const attestation = cborDecode(Buffer.from(credential.response.attestationObject, 'base64url')).value;
+  const authData = parseAuthenticatorData(attestation.get('authData'));
+  
+  checkWebAuthnResponse(clientDataJSON, authData, 'webauthn.create', expected);
+  if (!authData.credentialId) throw new Error('No credential in the response');
+  
+  return {
+    credentialId: authData.credentialId.toString('base64url'),
+    ...coseToPublicKey(authData.credentialPublicKey),
+    signCount: authData.signCount
+  };
+}
+
+// Authentication against a stored credential row (public_key, algorithm,
+// sign_count) - returns the new sign count
+function verifyPasskeyAssertion(credential, expected, stored) {
+  const clientDataJSON = Buffer.from(credential.response.clientDataJSON, 'base64url');
+  const rawAuthData = Buffer.from(credential.response.authenticatorData, 'base64url');
+  const authData = parseAuthenticatorData(rawAuthData);
+  
+  checkWebAuthnResponse(clientDataJSON, authData, 'webauthn.get', expected);
+  
+  const key = crypto.createPublicKey({ key: Buffer.from(stored.public_key, 'base64'), format: 'der', type: 'spki' });
+  const signed = Buffer.concat([rawAuthData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+  const signature = Buffer.from(credential.response.signature, 'base64url');
+  if (!crypto.verify(stored.algorithm === -8 ? null : 'sha256', signed, key, signature)) {
+    throw new Error('Invalid passkey signature');
+  }
+  
+  // Counters that go backwards mean a cloned authenticator; 0 means the authenticator doesn't count
+  if ((authData.signCount > 0 || stored.sign_count > 0) && authData.signCount <= stored.sign_count) {
+    throw new Error('Passkey sign counter went backwards');
+  }
+  return authData.signCount;
+}
+
+export {
+  cborDecode,
+  parseAuthenticatorData,
+  coseToPublicKey,
+  verifyPasskeyRegistration,
+  verifyPasskeyAssertion
+};
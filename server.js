@@ -7,7 +7,7 @@
  * - MySQL message persistence
  * - Owner authentication
  * - Push & email notifications
- * - Multi-chain wallet verification (BTC, BSV, BCH, SOL, Lightning)
+ * - Multi-chain wallet verification (BTC, BSV, BCH, SOL, Lightning, ETH/EVM, Nostr)
  * - On-site wallet generation
  */
 
@@ -27,17 +27,47 @@ import { v4 as uuidv4 } from 'uuid';
 import twilio from 'twilio';
 import multer from 'multer';
 import { existsSync, mkdirSync } from 'fs';
+import { writeFile, unlink } from 'fs/promises';
 import crypto from 'crypto';
+import {
+  base58Decode,
+  sha256,
+  doubleSha256,
+  BECH32_CHARSET,
+  BECH32_CONST,
+  bech32Polymod,
+  decodeSegwitAddress,
+  isCompactSignature,
+  verifyBIP322Signature,
+  verifyLightningSignature
+} from './lib/wallet-signatures.js';
+import { decideAccess, unlinkRefusal } from './lib/access-rules.js';
+import { createStubBackend, paymentCovers } from './lib/payments.js';
+import { base32Encode, verifyTotp, generateRecoveryCodes, spendRecoveryCode } from './lib/two-factor.js';
+import { verifyPasskeyRegistration, verifyPasskeyAssertion } from './lib/webauthn.js';
+import { createVisitorToken, parseVisitorToken, isTokenRowActive } from './lib/visitor-tokens.js';
+import { createMemoryStore } from './lib/rate-limit.js';
+import { sipConfigFromEnv, sipCredentials } from './lib/sip.js';
+import { createNip05Resolvers, resolveNip05 } from './lib/nip05.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
 const server = createServer(app);
+// Origins are checked against CONFIG.socketOrigins (see isAllowedSocketOrigin)
 const io = new Server(server, {
   cors: {
-    origin: "*",
+    origin: (origin, callback) => callback(null, isAllowedSocketOrigin(origin)),
     methods: ["GET", "POST"]
+  },
+  // CORS only covers polling - WebSocket upgrades are checked here
+  allowRequest: (req, callback) => {
+    const allowed = isAllowedSocketOrigin(req.headers.origin);
+    if (!allowed) {
+      console.warn(`Rejected Socket.IO connection from origin ${req.headers.origin} (${req.socket.remoteAddress})`);
+    }
+    callback(null, allowed);
   }
 });
 // =============================================================================
@@ -51,6 +81,38 @@ const twilioClient = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_T
 // CONFIGURATION
 // =============================================================================
 
+// Visitor tokens signed with a known secret can be forged - never fall back to a
+// fixed string. Outside production a random secret lets development start, but
+// tokens then end with the process.
+function visitorTokenSecret() {
+  const secret = process.env.VISITOR_TOKEN_SECRET || process.env.SESSION_SECRET;
+  if (secret) return secret;
+  
+  if (process.env.NODE_ENV === 'production') {
+    console.error('VISITOR_TOKEN_SECRET or SESSION_SECRET must be set in production - refusing to start');
+    process.exit(1);
+  }
+  console.warn('No VISITOR_TOKEN_SECRET or SESSION_SECRET - signing visitor tokens with a random secret until restart');
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// A JSON object from the environment - malformed JSON stops startup with the
+// variable's name instead of a bare SyntaxError
+function jsonEnv(name) {
+  let value;
+  try {
+    value = JSON.parse(process.env[name] || '{}');
+  } catch (err) {
+    console.error(`${name} is not valid JSON (${err.message}) - refusing to start`);
+    process.exit(1);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    console.error(`${name} must be a JSON object - refusing to start`);
+    process.exit(1);
+  }
+  return value;
+}
+
 const CONFIG = {
   port: process.env.PORT || 3000,
   domain: process.env.DOMAIN || 'localhost:3000',
@@ -59,6 +121,34 @@ const CONFIG = {
   // Session secret (generate a random one for production!)
   sessionSecret: process.env.SESSION_SECRET || 'change-this-secret-in-production',
   
+  // Signed visitor tokens - visitor routes and socket joins require one
+  visitorTokens: {
+    secret: visitorTokenSecret(),
+    ttlDays: parseInt(process.env.VISITOR_TOKEN_TTL_DAYS || '30'),
+    // Until this date (ISO, e.g. 2026-12-31) visitors from before tokens may claim
+    // their visitorId once. Off unless set - a claim takes over that visitor.
+    legacyClaimsUntil: Date.parse(process.env.VISITOR_TOKEN_LEGACY_CLAIMS_UNTIL || '') || 0
+  },
+  
+  // Owner login - past the free attempts every failure doubles the lockout,
+  // counted per username and per IP
+  login: {
+    freeAttemptsPerUser: parseInt(process.env.LOGIN_FREE_ATTEMPTS || '5'),
+    freeAttemptsPerIp: parseInt(process.env.LOGIN_FREE_ATTEMPTS_PER_IP || '20'),
+    backoffMaxSeconds: parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS || '900'),
+    // Failures older than this are forgotten
+    failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '60')
+  },
+  
+  // Passkeys (WebAuthn) for the owner. The RP ID is the bare host passkeys are
+  // bound to; origins default to DOMAIN over https/http (WebAuthn itself only
+  // runs on https or localhost)
+  webauthn: {
+    rpId: process.env.WEBAUTHN_RP_ID || (process.env.DOMAIN || 'localhost:3000').split(':')[0],
+    origins: (process.env.WEBAUTHN_ORIGINS || '')
+      .split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean)
+  },
+  
   // MySQL
   mysql: {
     host: process.env.MYSQL_HOST || 'localhost',
@@ -88,6 +178,84 @@ const CONFIG = {
     pass: process.env.SMTP_PASS || ''
   },
   
+  // Origins allowed to open a Socket.IO connection (comma-separated, * for any)
+  socketOrigins: (process.env.SOCKET_ALLOWED_ORIGINS || '')
+    .split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean),
+  
+  // Behind a reverse proxy or tunnel, trust its X-Forwarded-For for client IPs
+  // (Express "trust proxy" value, e.g. loopback or 1)
+  trustProxy: process.env.TRUST_PROXY || '',
+  
+  // Rate limits - token buckets per IP and per visitor. capacity is the burst,
+  // perMinute the refill rate. Store: memory (one process) or redis (shared).
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    limits: {
+      register: { ip: { capacity: 10, perMinute: 2 } },
+      message: { ip: { capacity: 30, perMinute: 20 }, visitor: { capacity: 10, perMinute: 6 } },
+      upload: { ip: { capacity: 10, perMinute: 4 }, visitor: { capacity: 5, perMinute: 2 } },
+      walletGenerate: { ip: { capacity: 10, perMinute: 2 } },
+      // Challenge requests and signature checks - each challenge is a database row
+      walletChallenge: { ip: { capacity: 20, perMinute: 10 }, visitor: { capacity: 10, perMinute: 5 } },
+      call: { ip: { capacity: 5, perMinute: 2 }, visitor: { capacity: 3, perMinute: 1 } },
+      // Push + email notifications to the owner - over the limit the message is still delivered
+      notify: { visitor: { capacity: 5, perMinute: 1 } }
+    },
+    // {"message": {"visitor": {"capacity": 5, "perMinute": 2}}} - null turns a limit off
+    overrides: jsonEnv('RATE_LIMITS')
+  },
+  
+  // Calls
+  calls: {
+    // How long a call rings before the visitor is offered voicemail
+    ringTimeoutSeconds: parseInt(process.env.RING_TIMEOUT_SECONDS || '45'),
+    voicemailEnabled: process.env.VOICEMAIL_ENABLED !== 'false',
+    voicemailMaxSeconds: parseInt(process.env.VOICEMAIL_MAX_SECONDS || '120')
+  },
+  
+  // Nostr identities - NIP-05 resolver: well-known (default), stub or off
+  nostr: {
+    nip05Resolver: process.env.NOSTR_NIP05_RESOLVER || 'well-known',
+    // For the stub resolver: {"alice@example.com": "<hex pubkey>"}
+    nip05Stub: jsonEnv('NOSTR_NIP05_STUB')
+  },
+  
+  // Wallet verification
+  wallet: {
+    // How long a signing challenge stays valid
+    challengeTtlSeconds: parseInt(process.env.WALLET_CHALLENGE_TTL_SECONDS || '600'),
+    // Refuse chains whose verification library failed to load instead of
+    // falling back to format-only checks
+    strictVerification: process.env.WALLET_STRICT_VERIFICATION !== 'false',
+    // EVM chain IDs accepted for Sign-In With Ethereum (mainnet, Optimism, Polygon, Base, Arbitrum)
+    evmChainIds: (process.env.WALLET_EVM_CHAIN_IDS || '1,10,137,8453,42161')
+      .split(',').map(id => parseInt(id.trim())).filter(Boolean)
+  },
+  
+  // Paid calls and messages via Lightning invoices (backend: lnd, lnbits or stub - empty disables)
+  payments: {
+    backend: process.env.PAYMENTS_BACKEND || '',
+    callPriceSats: parseInt(process.env.PAYMENT_CALL_SATS || '0'),
+    messagePriceSats: parseInt(process.env.PAYMENT_MESSAGE_SATS || '0'),
+    invoiceExpirySeconds: parseInt(process.env.PAYMENT_INVOICE_EXPIRY_SECONDS || '900'),
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || '',
+    // How long to wait on LND/LNbits before giving up on a request
+    backendTimeoutSeconds: parseInt(process.env.PAYMENT_BACKEND_TIMEOUT_SECONDS || '10'),
+    lnd: {
+      restUrl: process.env.LND_REST_URL || '',
+      macaroon: process.env.LND_INVOICE_MACAROON || '' // hex
+    },
+    lnbits: {
+      url: process.env.LNBITS_URL || '',
+      apiKey: process.env.LNBITS_INVOICE_KEY || ''
+    }
+  },
+  
+  // SIP (browser user agent over WebSocket)
+  sip: sipConfigFromEnv(process.env),
+  
   // ICE Servers
   iceServers: [
     { urls: 'stun:stun.l.google.com:19302' },
@@ -115,8 +283,8 @@ const CONFIG = {
 // =============================================================================
 
 // Import wallet verification libraries
-// Run: npm install bitcoinjs-message bsv @solana/web3.js tweetnacl bs58 bitcore-lib-cash
-let bitcoinMessage, bsv, solanaWeb3, nacl, bs58, bitcoreCash;
+// Run: npm install bitcoinjs-message bsv @solana/web3.js tweetnacl bs58 bitcore-lib-cash @noble/curves @noble/hashes
+let bitcoinMessage, bsv, solanaWeb3, nacl, bs58, bitcoreCash, secp256k1, schnorr, keccak256;
 
 // Dynamic imports for wallet libraries (graceful fallback if not installed)
 async function loadWalletLibraries() {
@@ -149,6 +317,16 @@ async function loadWalletLibraries() {
     bitcoreCash = await import('bitcore-lib-cash').then(m => m.default || m);
     console.log('✓ bitcore-lib-cash loaded');
   } catch { console.log('⚠ bitcore-lib-cash not installed - BCH verification limited'); }
+  
+  try {
+    ({ secp256k1, schnorr } = await import('@noble/curves/secp256k1'));
+    console.log('✓ @noble/curves loaded');
+  } catch { console.log('⚠ @noble/curves not installed - Lightning/ETH/BIP-322 verification unavailable'); }
+  
+  try {
+    keccak256 = await import('@noble/hashes/sha3').then(m => m.keccak_256);
+    console.log('✓ @noble/hashes loaded');
+  } catch { console.log('⚠ @noble/hashes not installed - ETH verification unavailable'); }
 }
 
 // Load libraries on startup
@@ -159,204 +337,79 @@ loadWalletLibraries();
 // =============================================================================
 
 /**
- * Wallet generation and verification utilities
- * Keys are generated using cryptographically secure random bytes
- * Private keys are NEVER stored on server - only returned to client once
+ * Wallet address and signature utilities
+ * New wallets are generated in the visitor's browser - private keys never
+ * reach the server. Base58, hashing, bech32, BIP-322 and Lightning
+ * verification live in lib/wallet-signatures.js
  */
 
-// Base58 encoding alphabet (Bitcoin standard)
-const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
-
-// Encode bytes to Base58
-function base58Encode(buffer) {
-  const bytes = Buffer.from(buffer);
-  let num = BigInt('0x' + bytes.toString('hex'));
-  let result = '';
-  
-  while (num > 0n) {
-    const remainder = num % 58n;
-    num = num / 58n;
-    result = BASE58_ALPHABET[Number(remainder)] + result;
-  }
-  
-  // Add leading zeros
-  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
-    result = '1' + result;
+// Decode a Base58Check string - returns the payload (version byte + data) or null
+function base58CheckDecode(str) {
+  let bytes;
+  try {
+    bytes = base58Decode(str);
+  } catch {
+    return null;
   }
+  if (bytes.length < 5) return null;
   
-  return result;
+  const payload = bytes.subarray(0, -4);
+  return doubleSha256(payload).subarray(0, 4).equals(bytes.subarray(-4)) ? payload : null;
 }
 
-// Decode Base58 to bytes
-function base58Decode(str) {
-  let num = 0n;
-  for (const char of str) {
-    const index = BASE58_ALPHABET.indexOf(char);
-    if (index === -1) throw new Error('Invalid Base58 character');
-    num = num * 58n + BigInt(index);
-  }
-  
-  let hex = num.toString(16);
-  if (hex.length % 2) hex = '0' + hex;
-  
-  // Add leading zeros
-  let leadingZeros = 0;
-  for (const char of str) {
-    if (char === '1') leadingZeros++;
-    else break;
+// CashAddr (BCH) checksum - BCH spec polymod over 5-bit groups
+function cashAddrPolymod(values) {
+  const GEN = [0x98f2bc8e61n, 0x79b76d99e2n, 0xf33e5fb3c4n, 0xae2eabe2a8n, 0x1e4f43e470n];
+  let chk = 1n;
+  for (const value of values) {
+    const top = chk >> 35n;
+    chk = ((chk & 0x07ffffffffn) << 5n) ^ BigInt(value);
+    for (let i = 0; i < 5; i++) {
+      if ((top >> BigInt(i)) & 1n) chk ^= GEN[i];
+    }
   }
-  
-  return Buffer.from('00'.repeat(leadingZeros) + hex, 'hex');
-}
-
-// SHA256 hash
-function sha256(data) {
-  return crypto.createHash('sha256').update(data).digest();
+  return chk ^ 1n;
 }
 
-// Double SHA256
-function doubleSha256(data) {
-  return sha256(sha256(data));
-}
-
-// RIPEMD160 hash (with fallback)
-function ripemd160(data) {
-  try {
-    return crypto.createHash('ripemd160').update(data).digest();
-  } catch {
-    console.warn('RIPEMD160 not available, using SHA256 truncated');
-    return sha256(data).slice(0, 20);
+function isValidCashAddress(address) {
+  const lower = address.toLowerCase();
+  const withPrefix = lower.includes(':') ? lower : `bitcoincash:${lower}`;
+  const [prefix, payload] = withPrefix.split(':');
+  if (prefix !== 'bitcoincash' || !payload || (address !== lower && address !== address.toUpperCase())) return false;
+  
+  const data = [];
+  for (const char of payload) {
+    const index = BECH32_CHARSET.indexOf(char);
+    if (index === -1) return false;
+    data.push(index);
   }
+  
+  // 160-bit hash + version byte = 34 groups, plus 8 checksum groups
+  return data.length === 42 &&
+    cashAddrPolymod([...[...prefix].map(c => c.charCodeAt(0) & 31), 0, ...data]) === 0n;
 }
 
-// Hash160 (SHA256 + RIPEMD160)
-function hash160(data) {
-  return ripemd160(sha256(data));
-}
-
-// Generate Bitcoin-style address from public key
-function pubKeyToAddress(pubKey, version = 0x00) {
-  const pubKeyHash = hash160(pubKey);
-  const versionedHash = Buffer.concat([Buffer.from([version]), pubKeyHash]);
-  const checksum = doubleSha256(versionedHash).slice(0, 4);
-  return base58Encode(Buffer.concat([versionedHash, checksum]));
-}
-
-// Generate WIF (Wallet Import Format) from private key
-function privKeyToWIF(privKey, compressed = true, testnet = false) {
-  const version = testnet ? 0xef : 0x80;
-  let extended = Buffer.concat([
-    Buffer.from([version]),
-    privKey,
-    compressed ? Buffer.from([0x01]) : Buffer.alloc(0)
-  ]);
-  const checksum = doubleSha256(extended).slice(0, 4);
-  return base58Encode(Buffer.concat([extended, checksum]));
-}
-
-// Get public key from private key using Node.js crypto
-function getPublicKeyFromPrivate(privKey) {
-  const ecdh = crypto.createECDH('secp256k1');
-  ecdh.setPrivateKey(privKey);
-  return ecdh.getPublicKey(null, 'compressed');
+// Legacy P2PKH (0x00) / P2SH (0x05) address
+function isValidLegacyAddress(address) {
+  const payload = base58CheckDecode(address);
+  return !!payload && payload.length === 21 && (payload[0] === 0x00 || payload[0] === 0x05);
 }
 
-// =============================================================================
-// WALLET GENERATION (Production-Ready)
-// =============================================================================
-
-function generateWallet(chain = 'btc') {
-  const privateKeyBytes = crypto.randomBytes(32);
-  
-  let publicKey, address, wif;
-  
-  switch (chain.toLowerCase()) {
+/**
+ * Check an address is well-formed for a chain (checksums included).
+ * Wallets are generated in the browser; the server only validates the result.
+ */
+function validateWalletAddress(chain, address) {
+  switch (chain) {
     case 'btc':
-      // Use bsv library if available (works for BTC too), otherwise use native
-      if (bsv) {
-        try {
-          const privKey = bsv.PrivateKey.fromBuffer(privateKeyBytes);
-          const pubKey = privKey.toPublicKey();
-          address = pubKey.toAddress().toString();
-          wif = privKey.toWIF();
-          publicKey = pubKey.toString();
-        } catch (err) {
-          console.error('BSV lib error for BTC, using native:', err.message);
-          publicKey = getPublicKeyFromPrivate(privateKeyBytes);
-          wif = privKeyToWIF(privateKeyBytes, true, false);
-          address = pubKeyToAddress(publicKey, 0x00);
-          publicKey = publicKey.toString('hex');
-        }
-      } else {
-        publicKey = getPublicKeyFromPrivate(privateKeyBytes);
-        wif = privKeyToWIF(privateKeyBytes, true, false);
-        address = pubKeyToAddress(publicKey, 0x00);
-        publicKey = publicKey.toString('hex');
-      }
-      break;
-      
+      return isValidLegacyAddress(address) || !!decodeSegwitAddress(address);
     case 'bsv':
-      if (bsv) {
-        try {
-          const privKey = bsv.PrivateKey.fromBuffer(privateKeyBytes);
-          const pubKey = privKey.toPublicKey();
-          address = pubKey.toAddress().toString();
-          wif = privKey.toWIF();
-          publicKey = pubKey.toString();
-        } catch (err) {
-          console.error('BSV generation error:', err.message);
-          publicKey = getPublicKeyFromPrivate(privateKeyBytes);
-          wif = privKeyToWIF(privateKeyBytes, true, false);
-          address = pubKeyToAddress(publicKey, 0x00);
-          publicKey = publicKey.toString('hex');
-        }
-      } else {
-        publicKey = getPublicKeyFromPrivate(privateKeyBytes);
-        wif = privKeyToWIF(privateKeyBytes, true, false);
-        address = pubKeyToAddress(publicKey, 0x00);
-        publicKey = publicKey.toString('hex');
-      }
-      break;
-      
+      return isValidLegacyAddress(address);
     case 'bch':
-      if (bitcoreCash) {
-        try {
-          const privKey = new bitcoreCash.PrivateKey(privateKeyBytes.toString('hex'));
-          const pubKey = privKey.toPublicKey();
-          // Get CashAddr format
-          address = pubKey.toAddress().toCashAddress();
-          wif = privKey.toWIF();
-          publicKey = pubKey.toString();
-        } catch (err) {
-          console.error('BCH generation error:', err.message);
-          publicKey = getPublicKeyFromPrivate(privateKeyBytes);
-          wif = privKeyToWIF(privateKeyBytes, true, false);
-          address = pubKeyToAddress(publicKey, 0x00);
-          publicKey = publicKey.toString('hex');
-        }
-      } else {
-        // Fallback to legacy address format
-        publicKey = getPublicKeyFromPrivate(privateKeyBytes);
-        wif = privKeyToWIF(privateKeyBytes, true, false);
-        address = pubKeyToAddress(publicKey, 0x00);
-        publicKey = publicKey.toString('hex');
-      }
-      break;
-      
+      return isValidCashAddress(address) || isValidLegacyAddress(address);
     default:
-      publicKey = getPublicKeyFromPrivate(privateKeyBytes);
-      wif = privKeyToWIF(privateKeyBytes, true, false);
-      address = pubKeyToAddress(publicKey, 0x00);
-      publicKey = publicKey.toString('hex');
+      return false;
   }
-  
-  return {
-    chain,
-    address,
-    privateKey: wif,
-    publicKey,
-    generated: new Date().toISOString()
-  };
 }
 
 // =============================================================================
@@ -365,9 +418,14 @@ function generateWallet(chain = 'btc') {
 
 /**
  * Verify Bitcoin message signature
- * Uses bitcoinjs-message library for cryptographic verification
+ * SegWit (bc1q, 3...) and Taproot (bc1p) wallets sign with BIP-322; legacy
+ * compact signatures are checked with bitcoinjs-message
  */
 async function verifyBTCSignature(address, message, signature) {
+  if (/^(bc1|tb1|[23])/i.test(address) && !isCompactSignature(signature)) {
+    return verifyBIP322Signature(address, message, signature);
+  }
+  
   if (!bitcoinMessage) {
     console.warn('bitcoinjs-message not available, using basic validation');
     return basicSignatureValidation(signature);
@@ -487,12 +545,16 @@ async function verifySolanaSignature(address, message, signature) {
     // Decode public key from address (Solana addresses are base58-encoded public keys)
     const publicKey = bs58.decode(address);
     
-    // Decode signature (usually base58 or base64)
+    // Decode signature (hex, base58 or base64)
     let signatureBytes;
-    try {
-      signatureBytes = bs58.decode(signature);
-    } catch {
-      signatureBytes = Buffer.from(signature, 'base64');
+    if (/^[0-9a-fA-F]{128}$/.test(signature)) {
+      signatureBytes = Buffer.from(signature, 'hex');
+    } else {
+      try {
+        signatureBytes = bs58.decode(signature);
+      } catch {
+        signatureBytes = Buffer.from(signature, 'base64');
+      }
     }
     
     // Encode message
@@ -509,54 +571,223 @@ async function verifySolanaSignature(address, message, signature) {
   }
 }
 
+// Ethereum address (20 bytes, hex) from an uncompressed public key
+function ethAddressFromPublicKey(uncompressed) {
+  return '0x' + Buffer.from(keccak256(uncompressed.subarray(1))).subarray(-20).toString('hex');
+}
+
+// EIP-55 mixed-case checksum address (required in SIWE messages)
+function toChecksumAddress(address) {
+  const lower = address.toLowerCase().replace(/^0x/, '');
+  const hash = Buffer.from(keccak256(Buffer.from(lower, 'utf8'))).toString('hex');
+  let result = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    result += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return result;
+}
+
 /**
- * Verify Lightning (WebLN) signature
- * Lightning signatures are typically verified client-side via WebLN
- * Server-side verification requires the node's public key
+ * Build an EIP-4361 (Sign-In With Ethereum) message for a challenge
  */
-async function verifyLightningSignature(address, message, signature) {
-  // Lightning Network message signing uses the node's identity key
-  // The "address" here is typically the node's public key (66 hex chars)
+function buildSiweMessage({ address, chainId, visitorId, nonce, issuedAt, expiresAt }) {
+  return [
+    `${CONFIG.domain} wants you to sign in with your Ethereum account:`,
+    toChecksumAddress(address),
+    '',
+    'Verify identity for HomeBase',
+    '',
+    `URI: https://${CONFIG.domain}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expiresAt}`,
+    `Request ID: ${visitorId}`
+  ].join('\n');
+}
+
+/**
+ * Verify Ethereum personal_sign (EIP-191) signature
+ * Recovers the signer address from the 65-byte r||s||v signature. SIWE messages
+ * must also name the same address and an allowed chain ID; EVM L2s are
+ * reported as "eth:<chainId>".
+ */
+async function verifyEthereumSignature(address, message, signature) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return { valid: false, error: 'Invalid Ethereum address' };
+  }
   
-  if (!address || address.length < 20) {
-    return { valid: false, error: 'Invalid Lightning public key' };
+  let chainId = 1;
+  if (message.startsWith(`${CONFIG.domain} wants you to sign in with your Ethereum account:`)) {
+    const lines = message.split('\n');
+    if (lines[1]?.toLowerCase() !== address.toLowerCase()) {
+      return { valid: false, error: 'Message was issued for a different address' };
+    }
+    
+    chainId = parseInt(/^Chain ID: (\d+)$/m.exec(message)?.[1]);
+    if (!CONFIG.wallet.evmChainIds.includes(chainId)) {
+      return { valid: false, error: 'Unsupported EVM chain ID' };
+    }
   }
   
-  if (!signature || signature.length < 20) {
-    return { valid: false, error: 'Invalid signature' };
+  try {
+    const sigBytes = Buffer.from(signature.trim().replace(/^0x/, ''), 'hex');
+    if (sigBytes.length !== 65) {
+      return { valid: false, error: 'Invalid signature length' };
+    }
+    
+    // v is 27/28 (legacy) or 0/1
+    const v = sigBytes[64];
+    const recovery = v >= 27 ? v - 27 : v;
+    if (recovery !== 0 && recovery !== 1) {
+      return { valid: false, error: 'Invalid signature recovery flag' };
+    }
+    
+    const messageBytes = Buffer.from(message, 'utf8');
+    const prefixed = Buffer.concat([
+      Buffer.from(`\x19Ethereum Signed Message:\n${messageBytes.length}`, 'utf8'),
+      messageBytes
+    ]);
+    
+    const publicKey = secp256k1.Signature
+      .fromCompact(sigBytes.subarray(0, 64))
+      .addRecoveryBit(recovery)
+      .recoverPublicKey(keccak256(prefixed))
+      .toRawBytes(false);
+    
+    if (ethAddressFromPublicKey(Buffer.from(publicKey)) !== address.toLowerCase()) {
+      return { valid: false, error: 'Signature does not match address' };
+    }
+    
+    return { valid: true, chain: chainId === 1 ? 'eth' : `eth:${chainId}` };
+  } catch (err) {
+    console.error('Ethereum signature verification error:', err.message);
+    return { valid: false, error: 'Invalid signature: ' + err.message };
+  }
+}
+
+// =============================================================================
+// NOSTR (NIP-07 auth events, NIP-05 identifiers)
+// =============================================================================
+
+// bech32-encode bytes with a human-readable part (npub keys)
+function bech32Encode(hrp, bytes) {
+  const data = [];
+  let acc = 0, bits = 0;
+  for (const byte of bytes) {
+    acc = (acc << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      data.push((acc >> bits) & 31);
+    }
+  }
+  if (bits > 0) data.push((acc << (5 - bits)) & 31);
+  
+  const hrpExpanded = [...hrp].map(c => c.charCodeAt(0) >> 5)
+    .concat(0, [...hrp].map(c => c.charCodeAt(0) & 31));
+  const polymod = bech32Polymod(hrpExpanded.concat(data, [0, 0, 0, 0, 0, 0])) ^ BECH32_CONST;
+  const checksum = Array.from({ length: 6 }, (_, i) => (polymod >> (5 * (5 - i))) & 31);
+  
+  return hrp + '1' + data.concat(checksum).map(v => BECH32_CHARSET[v]).join('');
+}
+
+// Decode an npub to its 32-byte x-only public key (hex), or null
+function npubDecode(npub) {
+  const lower = npub.toLowerCase();
+  if (!lower.startsWith('npub1')) return null;
+  
+  const data = [];
+  for (const char of lower.slice(5)) {
+    const index = BECH32_CHARSET.indexOf(char);
+    if (index === -1) return null;
+    data.push(index);
+  }
+  
+  const hrpExpanded = [...'npub'].map(c => c.charCodeAt(0) >> 5)
+    .concat(0, [...'npub'].map(c => c.charCodeAt(0) & 31));
+  if (bech32Polymod(hrpExpanded.concat(data)) !== BECH32_CONST) return null;
+  
+  let acc = 0, bits = 0;
+  const bytes = [];
+  for (const value of data.slice(0, -6)) {
+    acc = (acc << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+  }
+  return bytes.length === 32 ? Buffer.from(bytes).toString('hex') : null;
+}
+
+// Nostr "address": an npub or the raw 64-char hex key -> hex public key
+function nostrPubkeyHex(address) {
+  if (/^[0-9a-fA-F]{64}$/.test(address)) return address.toLowerCase();
+  return npubDecode(address);
+}
+
+/**
+ * Verify a Nostr identity: the "signature" is a signed kind-22242 auth event
+ * (NIP-42 shape, signed by a NIP-07 extension) whose challenge tag is the
+ * issued message. Checks the event ID and its BIP-340 Schnorr signature.
+ */
+async function verifyNostrSignature(address, message, signature) {
+  const pubkey = nostrPubkeyHex(address);
+  if (!pubkey) {
+    return { valid: false, error: 'Invalid Nostr public key (expected npub or hex)' };
   }
   
-  // For Lightning, we typically trust the client-side WebLN verification
-  // Full server-side verification would require:
-  // 1. The node's public key (provided as address)
-  // 2. The signature in zbase32 format (Lightning standard)
-  // 3. Verification using secp256k1 ECDSA
+  if (!schnorr) {
+    return { valid: false, error: 'Nostr verification unavailable (install @noble/curves)' };
+  }
   
   try {
-    // Basic validation: signature should be zbase32 encoded (~104 chars)
-    // or base64 encoded (~88 chars)
-    if (signature.length >= 80 && signature.length <= 120) {
-      // Looks like a valid Lightning signature
-      return { valid: true };
+    const event = typeof signature === 'string' ? JSON.parse(signature) : signature;
+    
+    if (event.kind !== 22242) {
+      return { valid: false, error: 'Expected a kind 22242 auth event' };
+    }
+    if (event.pubkey !== pubkey) {
+      return { valid: false, error: 'Event was signed by a different key' };
+    }
+    
+    const challenge = event.tags?.find(tag => tag[0] === 'challenge')?.[1];
+    if (challenge?.replace(/\r\n/g, '\n') !== message.replace(/\r\n/g, '\n')) {
+      return { valid: false, error: 'Event does not carry the issued challenge' };
+    }
+    if (!Number.isInteger(event.created_at) ||
+        Math.abs(Date.now() / 1000 - event.created_at) > CONFIG.wallet.challengeTtlSeconds) {
+      return { valid: false, error: 'Event timestamp is too far from now' };
     }
     
-    // If nacl is available, try to verify as generic signature
-    if (nacl) {
-      // Lightning uses secp256k1, not ed25519, so this is just format validation
-      console.log('Lightning signature format validated');
-      return { valid: true };
+    // NIP-01 event ID: sha256 of the canonical serialization
+    const id = sha256(Buffer.from(JSON.stringify([
+      0, event.pubkey, event.created_at, event.kind, event.tags, event.content
+    ]), 'utf8')).toString('hex');
+    if (id !== event.id) {
+      return { valid: false, error: 'Event ID does not match its contents' };
     }
     
-    return { valid: true }; // Trust WebLN client-side verification
+    if (!schnorr.verify(event.sig, event.id, event.pubkey)) {
+      return { valid: false, error: 'Invalid Schnorr signature' };
+    }
     
+    // Store every Nostr identity as its npub
+    return { valid: true, address: bech32Encode('npub', Buffer.from(pubkey, 'hex')) };
   } catch (err) {
-    console.error('Lightning signature verification error:', err.message);
-    return { valid: false, error: err.message };
+    console.error('Nostr signature verification error:', err.message);
+    return { valid: false, error: 'Invalid auth event: ' + err.message };
   }
 }
 
+// NIP-05 resolvers and their private network guard are in lib/nip05.js
+const NIP05_RESOLVERS = createNip05Resolvers({ stub: CONFIG.nostr.nip05Stub });
+
 /**
  * Basic signature validation (fallback when libraries not available)
+ * Only reachable with WALLET_STRICT_VERIFICATION=false - it proves nothing.
  */
 function basicSignatureValidation(signature) {
   if (!signature || signature.length < 20) {
@@ -575,6 +806,40 @@ function basicSignatureValidation(signature) {
   return { valid: false, error: 'Invalid signature format' };
 }
 
+// Alternative chain names accepted by verifySignature()
+const CHAIN_ALIASES = {
+  bitcoin: 'btc',
+  bitcoincash: 'bch',
+  solana: 'sol',
+  ln: 'lightning',
+  ethereum: 'eth',
+  npub: 'nostr'
+};
+
+/**
+ * Which chains can be cryptographically verified with the libraries that loaded
+ */
+function getAvailableVerifiers() {
+  return {
+    btc: !!bitcoinMessage,
+    bsv: !!bsv,
+    bch: !!bitcoreCash,
+    sol: !!(nacl && bs58),
+    lightning: !!secp256k1,
+    eth: !!(secp256k1 && keccak256),
+    nostr: !!schnorr
+  };
+}
+
+/**
+ * Chains the visitor page may offer. In strict mode only chains with a
+ * working verifier; otherwise every supported chain.
+ */
+function getOfferedChains() {
+  const verifiers = getAvailableVerifiers();
+  return Object.keys(verifiers).filter(chain => verifiers[chain] || !CONFIG.wallet.strictVerification);
+}
+
 /**
  * Main signature verification function
  * Routes to appropriate chain-specific verifier
@@ -585,7 +850,22 @@ async function verifySignature(chain, address, message, signature) {
   }
   
   // Normalize chain name
-  const normalizedChain = chain.toLowerCase();
+  const normalizedChain = CHAIN_ALIASES[chain.toLowerCase()] || chain.toLowerCase();
+  const verifiers = getAvailableVerifiers();
+  
+  if (!(normalizedChain in verifiers)) {
+    return { valid: false, error: `Unsupported chain: ${chain}`, address, chain: normalizedChain };
+  }
+  
+  if (!verifiers[normalizedChain] && CONFIG.wallet.strictVerification) {
+    console.warn(`Rejected ${normalizedChain.toUpperCase()} verification - no verifier library loaded`);
+    return {
+      valid: false,
+      error: `${normalizedChain.toUpperCase()} verification is not supported on this server`,
+      address,
+      chain: normalizedChain
+    };
+  }
   
   console.log(`Verifying ${normalizedChain.toUpperCase()} signature for ${address.substring(0, 10)}...`);
   
@@ -593,7 +873,6 @@ async function verifySignature(chain, address, message, signature) {
   
   switch (normalizedChain) {
     case 'btc':
-    case 'bitcoin':
       result = await verifyBTCSignature(address, message, signature);
       break;
       
@@ -602,23 +881,24 @@ async function verifySignature(chain, address, message, signature) {
       break;
       
     case 'bch':
-    case 'bitcoincash':
       result = await verifyBCHSignature(address, message, signature);
       break;
       
     case 'sol':
-    case 'solana':
       result = await verifySolanaSignature(address, message, signature);
       break;
       
     case 'lightning':
-    case 'ln':
       result = await verifyLightningSignature(address, message, signature);
       break;
       
-    default:
-      // Try Bitcoin verification as default (most chains use similar format)
-      result = await verifyBTCSignature(address, message, signature);
+    case 'eth':
+      result = await verifyEthereumSignature(address, message, signature);
+      break;
+      
+    case 'nostr':
+      result = await verifyNostrSignature(address, message, signature);
+      break;
   }
   
   if (result.valid) {
@@ -627,7 +907,7 @@ async function verifySignature(chain, address, message, signature) {
     console.log(`✗ ${normalizedChain.toUpperCase()} signature verification failed: ${result.error || 'Unknown error'}`);
   }
   
-  return { ...result, address, chain: normalizedChain };
+  return { address, chain: normalizedChain, ...result };
 }
 
 // =============================================================================
@@ -699,6 +979,17 @@ io.use((socket, next) => {
   sessionMiddleware(socket.request, {}, next);
 });
 
+// Without SOCKET_ALLOWED_ORIGINS only the site itself (DOMAIN) may connect.
+// Requests without an Origin header aren't from a browser page and pass.
+function isAllowedSocketOrigin(origin) {
+  if (!origin) return true;
+  
+  const allowed = CONFIG.socketOrigins.length > 0
+    ? CONFIG.socketOrigins
+    : [`https://${CONFIG.domain}`, `http://${CONFIG.domain}`];
+  return allowed.includes('*') || allowed.includes(origin);
+}
+
 // =============================================================================
 // PUSH NOTIFICATIONS
 // =============================================================================
@@ -784,6 +1075,19 @@ async function sendEmailNotification(type, data) {
         </a>
       </div>
     `;
+  } else if (type === 'voicemail') {
+    subject = `📞 Voicemail from ${data.callerName}`;
+    html = `
+      <div style="font-family: system-ui; padding: 20px; background: #1a1a2e; color: #fff; border-radius: 12px;">
+        <h2 style="color: #ffaa00;">📞 New Voicemail</h2>
+        <p style="font-size: 18px;"><strong>${data.callerName}</strong> called while you were away and left a voicemail.</p>
+        <a href="https://${CONFIG.domain}/uploads/${data.filename}" 
+           style="display: inline-block; background: #ffaa00; color: #000; padding: 12px 24px; 
+                  border-radius: 8px; text-decoration: none; font-weight: bold; margin-top: 10px;">
+          Listen
+        </a>
+      </div>
+    `;
   } else if (type === 'message') {
     subject = `💬 New Message from ${data.senderName}`;
     html = `
@@ -819,9 +1123,30 @@ async function sendEmailNotification(type, data) {
 // EXPRESS MIDDLEWARE
 // =============================================================================
 
+if (CONFIG.trustProxy) {
+  const { trustProxy } = CONFIG;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 app.use(express.json());
+app.use(express.urlencoded({ extended: false })); // Twilio webhooks
 app.use(express.static(join(__dirname, 'public')));
 
+// SIP.js ES modules for the owner dashboard's SIP user agent
+app.use('/vendor/sip.js', express.static(join(__dirname, 'node_modules', 'sip.js', 'lib')));
+
+// BIP-39/32 libraries for generating wallets in the visitor's browser (ES modules,
+// resolved through the import map in index.html - extensionless imports need .js)
+const browserModule = (...path) => express.static(join(__dirname, 'node_modules', ...path), { extensions: ['js'] });
+app.use('/vendor/noble-hashes', browserModule('@noble', 'hashes', 'esm'));
+app.use('/vendor/noble-curves', browserModule('@noble', 'curves', 'esm'));
+app.use('/vendor/scure-base', browserModule('@scure', 'base', 'lib', 'esm'));
+app.use('/vendor/scure-bip32', browserModule('@scure', 'bip32', 'lib', 'esm'));
+app.use('/vendor/scure-bip39', browserModule('@scure', 'bip39', 'esm'));
+
+// Twilio Voice SDK for answering PSTN calls in the dashboard
+app.use('/vendor/twilio', express.static(join(__dirname, 'node_modules', '@twilio', 'voice-sdk', 'dist')));
+
 // =============================================================================
 // FILE UPLOAD SETUP
 // =============================================================================
@@ -879,807 +1204,3125 @@ function requireAuth(req, res, next) {
 }
 
 // =============================================================================
-// ROUTES - PUBLIC
+// VISITOR TOKENS
 // =============================================================================
 
-// Serve pages
-app.get('/', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'index.html'));
-});
+// Token format and signatures are in lib/visitor-tokens.js - one token per browser
 
-app.get('/owner', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'owner.html'));
-});
+async function issueVisitorToken(visitorDbId, visitorId) {
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + CONFIG.visitorTokens.ttlDays * 24 * 60 * 60 * 1000);
+  
+  await db.query(
+    'INSERT INTO visitor_tokens (visitor_id, token_id, expires_at) VALUES (?, ?, ?)',
+    [visitorDbId, tokenId, expiresAt]
+  );
+  // From now on this visitor can't be claimed by visitorId alone
+  await db.query(
+    'UPDATE visitors SET token_issued_at = NOW() WHERE id = ? AND token_issued_at IS NULL',
+    [visitorDbId]
+  );
+  
+  const token = createVisitorToken(CONFIG.visitorTokens.secret, visitorId, tokenId, expiresAt);
+  return { token, expiresAt: expiresAt.toISOString() };
+}
 
-app.get('/login', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'login.html'));
-});
+/**
+ * One-time migration for visitors registered before tokens existed: their
+ * browser only has the visitorId. The first claim wins (the UPDATE is the
+ * lock); visitors that ever held a token can't be claimed. Returns { id } or null.
+ */
+async function claimLegacyVisitor(visitorId) {
+  if (Date.now() >= CONFIG.visitorTokens.legacyClaimsUntil || typeof visitorId !== 'string') return null;
+  
+  const [result] = await db.query(
+    'UPDATE visitors SET token_issued_at = NOW() WHERE visitor_id = ? AND token_issued_at IS NULL',
+    [visitorId]
+  );
+  if (result.affectedRows === 0) return null;
+  
+  const [rows] = await db.query('SELECT id FROM visitors WHERE visitor_id = ?', [visitorId]);
+  console.log(`Legacy visitor ${visitorId} claimed a token`);
+  return rows[0] || null;
+}
 
-// Public config (no secrets)
-app.get('/api/config', async (req, res) => {
-  let iceServers = CONFIG.iceServers; // fallback
+// Returns { id, visitorId, tokenId } for a valid, unrevoked token - otherwise null
+async function verifyVisitorToken(token) {
+  const parsed = parseVisitorToken(CONFIG.visitorTokens.secret, token);
+  if (!parsed) return null;
   
-  // Use Twilio's TURN servers if available (more reliable)
-  if (twilioClient) {
-    try {
-      const token = await twilioClient.tokens.create();
-      iceServers = token.iceServers;
-      console.log('Using Twilio TURN servers');
-    } catch (err) {
-      console.error('Twilio TURN error:', err.message);
-      // Fall back to configured servers
+  const { visitorId, tokenId } = parsed;
+  const [rows] = await db.query(
+    `SELECT v.id, v.visitor_id as visitorId, t.revoked_at, t.expires_at FROM visitor_tokens t
+     JOIN visitors v ON v.id = t.visitor_id
+     WHERE t.token_id = ? AND v.visitor_id = ?`,
+    [tokenId, visitorId]
+  );
+  return isTokenRowActive(rows[0]) ? { id: rows[0].id, visitorId: rows[0].visitorId, tokenId } : null;
+}
+
+// Revoke a visitor's tokens (all of them, or one) and drop their live sockets from the room
+async function revokeVisitorTokens(visitorDbId, visitorId, tokenId = null) {
+  await db.query(
+    `UPDATE visitor_tokens SET revoked_at = NOW()
+     WHERE visitor_id = ? AND revoked_at IS NULL${tokenId ? ' AND token_id = ?' : ''}`,
+    tokenId ? [visitorDbId, tokenId] : [visitorDbId]
+  );
+  
+  if (tokenId) return;
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.visitorId === visitorId) {
+      socket.leave(`visitor-${visitorId}`);
+      socket.visitorId = null;
+      socket.emit('visitor-token-invalid');
     }
   }
-  
-  res.json({
-    vapidPublicKey: CONFIG.vapid.publicKey,
-    iceServers
-  });
-});
-
-// =============================================================================
-// ROUTES - WALLET (Public)
-// =============================================================================
+}
 
-// Generate a new wallet (keys generated server-side, returned to client)
-// WARNING: Private key is returned ONLY ONCE - user must save it!
-app.post('/api/wallet/generate', async (req, res) => {
-  const { chain } = req.body;
+/**
+ * Visitor routes: `Authorization: Bearer <token>`. Sets req.visitor; a
+ * visitorId in the URL, query or JSON body must be the token's own.
+ */
+async function requireVisitor(req, res, next) {
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
   
-  const supportedChains = ['btc', 'bsv', 'bch'];
-  if (!supportedChains.includes(chain?.toLowerCase())) {
-    return res.status(400).json({ 
-      error: `Unsupported chain. Use: ${supportedChains.join(', ')}` 
-    });
+  if (!db) {
+    return res.status(503).json({ error: 'Database unavailable' });
   }
   
   try {
-    const wallet = generateWallet(chain.toLowerCase());
-    
-    console.log(`Wallet generated for ${chain.toUpperCase()}: ${wallet.address}`);
+    const visitor = await verifyVisitorToken(token);
+    if (!visitor) {
+      return res.status(401).json({ error: 'Invalid or expired visitor token', tokenInvalid: true });
+    }
     
-    // Return wallet info INCLUDING private key (only time it's ever sent)
-    res.json({
-      success: true,
-      chain: wallet.chain,
-      address: wallet.address,
-      privateKey: wallet.privateKey, // WIF format
-      publicKey: wallet.publicKey,
-      warning: 'SAVE YOUR PRIVATE KEY NOW! It will never be shown again.',
-      generated: wallet.generated
-    });
+    const claimed = req.params.visitorId || req.query.visitorId || req.body?.visitorId;
+    if (claimed && claimed !== visitor.visitorId) {
+      return res.status(403).json({ error: 'Token does not belong to this visitor' });
+    }
     
+    req.visitor = visitor;
+    next();
   } catch (err) {
-    console.error('Wallet generation error:', err);
-    res.status(500).json({ error: 'Failed to generate wallet' });
+    console.error('Visitor token error:', err);
+    res.status(500).json({ error: 'Server error' });
   }
-});
+}
 
-// Verify a wallet signature
-app.post('/api/wallet/verify', async (req, res) => {
-  const { chain, address, message, signature, visitorId } = req.body;
-  
-  if (!chain || !address || !message || !signature) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+// =============================================================================
+// RATE LIMITING
+// =============================================================================
+
+let redisClient = null;
+
+// Refill, then take one token atomically - returns [allowed, tokens left]
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = tonumber(bucket[1]) or capacity
+local updated = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated) * rate)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Token bucket stores. take(key, { capacity, perMinute }) resolves to
+ * { allowed, retryAfter } with retryAfter in seconds. The memory store is in
+ * lib/rate-limit.js.
+ */
+const RATE_LIMIT_STORES = {
+  memory: createMemoryStore(),
   
-  try {
-    // Use async verification with proper crypto libraries
-    const result = await verifySignature(chain, address, message, signature);
-    
-    if (result.valid) {
-      // If visitorId provided, update visitor with wallet info
-      if (visitorId && db) {
-        try {
-          await db.execute(
-            `UPDATE visitors 
-             SET wallet_address = ?, wallet_chain = ?, wallet_verified_at = NOW() 
-             WHERE visitor_id = ?`,
-            [address, chain, visitorId]
-          );
-        } catch (dbErr) {
-          console.warn('Could not update visitor wallet:', dbErr.message);
-        }
-      }
+  redis: {
+    async take(key, { capacity, perMinute }) {
+      if (!redisClient?.isReady) throw new Error('Redis not connected');
       
-      console.log(`✓ Wallet verified: ${chain}:${address}`);
-      
-      res.json({
-        verified: true,
-        chain,
-        address,
-        shortAddress: address.length > 16 
-          ? address.substring(0, 8) + '...' + address.slice(-6)
-          : address
+      const rate = perMinute / 60000;
+      const [allowed, tokens] = await redisClient.eval(TOKEN_BUCKET_SCRIPT, {
+        keys: [`ratelimit:${key}`],
+        arguments: [String(capacity), String(rate), String(Date.now())]
       });
-    } else {
-      res.json({ verified: false, error: result.error || 'Signature verification failed' });
+      return { allowed: allowed === 1, retryAfter: allowed === 1 ? 0 : Math.ceil((1 - parseFloat(tokens)) / rate / 1000) };
     }
-    
-  } catch (err) {
-    console.error('Verification error:', err);
-    res.status(500).json({ error: 'Verification failed: ' + err.message });
   }
-});
+};
 
-// Get verification message for signing
-app.get('/api/wallet/message', (req, res) => {
-  const timestamp = new Date().toISOString();
-  const nonce = crypto.randomBytes(8).toString('hex');
-  
-  const message = `Verify identity for HomeBase\nTimestamp: ${timestamp}\nNonce: ${nonce}`;
-  
-  res.json({ message, timestamp, nonce });
-});
+let rateLimitStore = RATE_LIMIT_STORES[CONFIG.rateLimit.store] || RATE_LIMIT_STORES.memory;
 
-// Get visitor's wallet status
-app.get('/api/wallet/status/:visitorId', async (req, res) => {
-  const { visitorId } = req.params;
+// Connect in the background - until Redis is up, requests are let through
+async function connectRateLimitStore() {
+  if (!CONFIG.rateLimit.enabled || CONFIG.rateLimit.store !== 'redis') return;
   
-  if (!db) {
-    return res.json({ verified: false });
+  try {
+    const { createClient } = await import('redis');
+    redisClient = createClient({
+      url: CONFIG.rateLimit.redisUrl,
+      disableOfflineQueue: true,
+      socket: { reconnectStrategy: retries => Math.min(retries * 500, 10000) }
+    });
+    redisClient.on('error', err => console.error('Redis error:', err.message));
+    redisClient.connect().catch(err => console.error('Redis connect error:', err.message));
+  } catch (err) {
+    console.warn(`Redis client unavailable (${err.message}) - rate limits use the memory store`);
+    rateLimitStore = RATE_LIMIT_STORES.memory;
   }
+}
+
+function getRateLimit(bucket, scope) {
+  const override = CONFIG.rateLimit.overrides[bucket];
+  if (override && scope in override) return override[scope];
+  return CONFIG.rateLimit.limits[bucket]?.[scope] || null;
+}
+
+/**
+ * Take a token from the IP's and the visitor's bucket for this action.
+ * Returns null when allowed, otherwise { scope, retryAfter }. A store
+ * failure lets the request through rather than taking the site down.
+ */
+async function checkRateLimit(bucket, { ip, visitorId }) {
+  if (!CONFIG.rateLimit.enabled) return null;
   
-  try {
-    const [rows] = await db.execute(
-      `SELECT wallet_address, wallet_chain, wallet_verified_at 
-       FROM visitors WHERE visitor_id = ?`,
-      [visitorId]
-    );
+  for (const [scope, id] of [['ip', ip], ['visitor', visitorId]]) {
+    const limit = getRateLimit(bucket, scope);
+    if (!limit || !id) continue;
     
-    if (rows.length > 0 && rows[0].wallet_address) {
-      res.json({
-        verified: true,
-        address: rows[0].wallet_address,
-        chain: rows[0].wallet_chain,
-        verifiedAt: rows[0].wallet_verified_at
-      });
-    } else {
-      res.json({ verified: false });
+    try {
+      const { allowed, retryAfter } = await rateLimitStore.take(`${bucket}:${scope}:${id}`, limit);
+      if (!allowed) {
+        console.warn(`Rate limited ${bucket} for ${scope} ${id} (retry in ${retryAfter}s)`);
+        return { scope, retryAfter };
+      }
+    } catch (err) {
+      console.error('Rate limit store error:', err.message);
     }
-  } catch (err) {
-    console.error('Wallet status error:', err);
-    res.json({ verified: false });
   }
-});
+  return null;
+}
+
+// Route middleware - per visitor only after requireVisitor has set req.visitor.
+// scope 'ip' or 'visitor' checks just that bucket, so the IP limit can run before
+// requireVisitor touches the database: rateLimit(b, 'ip'), requireVisitor, rateLimit(b, 'visitor')
+function rateLimit(bucket, scope) {
+  return async (req, res, next) => {
+    const limited = await checkRateLimit(bucket, {
+      ip: scope !== 'visitor' ? req.ip : null,
+      visitorId: scope !== 'ip' ? req.visitor?.visitorId : null
+    });
+    if (!limited) return next();
+    
+    res.set('Retry-After', String(limited.retryAfter));
+    res.status(429).json({
+      error: `Too many requests - try again in ${limited.retryAfter}s`,
+      rateLimited: true,
+      retryAfter: limited.retryAfter
+    });
+  };
+}
+
+// Client IP of a socket - with TRUST_PROXY, the address the nearest proxy forwarded
+function socketIp(socket) {
+  const forwarded = CONFIG.trustProxy && socket.handshake.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',').pop().trim() : socket.handshake.address;
+}
 
 // =============================================================================
-// ROUTES - AUTHENTICATION
+// OWNER LOGIN - THROTTLING & TWO-FACTOR
 // =============================================================================
 
-app.post('/api/auth/login', async (req, res) => {
-  const { username, password } = req.body;
+// Failed owner logins by `user:<name>` and `ip:<address>`: { failures, lastFailureAt, lockedUntil }.
+// Unknown usernames are tracked like real ones, so the lockout doesn't tell them
+// apart; past LOGIN_FAILURES_MAX keys the least recently failed is dropped.
+const loginFailures = new Map();
+const LOGIN_FAILURES_MAX = 10000;
+
+// Compared against when the username doesn't exist, so both cases cost a bcrypt compare
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Passkey logins have no username up front and are throttled per IP only
+function loginThrottleKeys(username, ip) {
+  const keys = [[`ip:${ip}`, CONFIG.login.freeAttemptsPerIp]];
+  if (username) {
+    keys.push([`user:${String(username).toLowerCase()}`, CONFIG.login.freeAttemptsPerUser]);
+  }
+  return keys;
+}
+
+// Seconds until this username and IP may try again - 0 when neither is locked
+function loginRetryAfter(username, ip) {
+  const now = Date.now();
+  let wait = 0;
   
-  if (!username || !password) {
-    return res.status(400).json({ error: 'Username and password required' });
+  for (const [key] of loginThrottleKeys(username, ip)) {
+    const entry = loginFailures.get(key);
+    if (entry && entry.lockedUntil > now) {
+      wait = Math.max(wait, Math.ceil((entry.lockedUntil - now) / 1000));
+    }
   }
+  return wait;
+}
+
+// Past the free attempts, failures lock for 1s, 2s, 4s ... up to backoffMaxSeconds
+function recordLoginFailure(username, ip) {
+  const now = Date.now();
+  console.warn(`Failed owner login${username ? ` for ${username}` : ''} from ${ip}`);
   
-  try {
-    const [rows] = await db.query(
-      'SELECT id, username, password_hash FROM owners WHERE username = ?',
-      [username]
-    );
+  for (const [key, freeAttempts] of loginThrottleKeys(username, ip)) {
+    const entry = loginFailures.get(key);
+    const recent = entry && now - entry.lastFailureAt < CONFIG.login.failureWindowMinutes * 60 * 1000;
+    const failures = recent ? entry.failures + 1 : 1;
+    const excess = failures - freeAttempts;
+    const lockSeconds = excess > 0 ? Math.min(CONFIG.login.backoffMaxSeconds, 2 ** (excess - 1)) : 0;
     
-    if (rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    // Re-inserted so the map stays ordered by last failure
+    loginFailures.delete(key);
+    if (loginFailures.size >= LOGIN_FAILURES_MAX) {
+      loginFailures.delete(loginFailures.keys().next().value);
     }
-    
-    const owner = rows[0];
-    const validPassword = await bcrypt.compare(password, owner.password_hash);
-    
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    loginFailures.set(key, { failures, lastFailureAt: now, lockedUntil: now + lockSeconds * 1000 });
+    if (lockSeconds >= 60) {
+      console.warn(`Owner login locked for ${key} for ${lockSeconds}s after ${failures} failures`);
     }
+  }
+}
+
+function clearLoginFailures(username, ip) {
+  for (const [key] of loginThrottleKeys(username, ip)) {
+    loginFailures.delete(key);
+  }
+}
+
+function sendLoginLocked(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: `Too many failed attempts - try again in ${retryAfter}s`, retryAfter });
+}
+
+/**
+ * Check a TOTP `code` or a `recoveryCode` for an owner row (totp_secret,
+ * totp_last_step, recovery_codes) and use it up. The conditional UPDATEs keep
+ * two requests from spending the same code. Returns 'totp', 'recovery' or null.
+ */
+async function verifySecondFactor(owner, { code, recoveryCode }) {
+  if (code) {
+    const step = verifyTotp(owner.totp_secret, code, owner.totp_last_step);
+    if (step === null) return null;
     
-    // Update last login
-    await db.query('UPDATE owners SET last_login = NOW() WHERE id = ?', [owner.id]);
-    
-    // Set session
-    req.session.ownerId = owner.id;
-    req.session.username = owner.username;
+    const [result] = await db.query(
+      'UPDATE owners SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+      [step, owner.id, step]
+    );
+    return result.affectedRows > 0 ? 'totp' : null;
+  }
+  
+  if (recoveryCode) {
+    const remaining = spendRecoveryCode(owner.recovery_codes, recoveryCode);
+    if (remaining === null) return null;
     
-    res.json({ success: true, username: owner.username });
-  } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).json({ error: 'Server error' });
+    const [result] = await db.query(
+      'UPDATE owners SET recovery_codes = ? WHERE id = ? AND recovery_codes = ?',
+      [remaining, owner.id, owner.recovery_codes]
+    );
+    return result.affectedRows > 0 ? 'recovery' : null;
   }
+  
+  return null;
+}
+
+async function completeOwnerLogin(req, owner) {
+  await db.query('UPDATE owners SET last_login = NOW() WHERE id = ?', [owner.id]);
+  
+  delete req.session.pendingOwner;
+  req.session.ownerId = owner.id;
+  req.session.username = owner.username;
+}
+
+// =============================================================================
+// OWNER LOGIN - PASSKEYS (WebAuthn)
+// =============================================================================
+
+// CBOR/COSE decoding and the ceremony checks are in lib/webauthn.js
+
+function webauthnOrigins() {
+  return CONFIG.webauthn.origins.length > 0
+    ? CONFIG.webauthn.origins
+    : [`https://${CONFIG.domain}`, `http://${CONFIG.domain}`];
+}
+
+// What a response to `challenge` must match
+function webauthnExpected(challenge) {
+  return { challenge, rpId: CONFIG.webauthn.rpId, origins: webauthnOrigins() };
+}
+
+// One challenge per session, used once
+function issueWebAuthnChallenge(req, purpose) {
+  const challenge = crypto.randomBytes(32).toString('base64url');
+  req.session.webauthnChallenge = { challenge, purpose, expiresAt: Date.now() + 5 * 60 * 1000 };
+  return challenge;
+}
+
+function takeWebAuthnChallenge(req, purpose) {
+  const pending = req.session.webauthnChallenge;
+  delete req.session.webauthnChallenge;
+  return pending && pending.purpose === purpose && pending.expiresAt > Date.now() ? pending.challenge : null;
+}
+
+// =============================================================================
+// ROUTES - PUBLIC
+// =============================================================================
+
+// Serve pages
+app.get('/', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'index.html'));
 });
 
-app.post('/api/auth/logout', (req, res) => {
-  req.session.destroy();
-  res.json({ success: true });
+app.get('/owner', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'owner.html'));
 });
 
-app.get('/api/auth/check', (req, res) => {
-  if (req.session && req.session.ownerId) {
-    res.json({ authenticated: true, username: req.session.username });
-  } else {
-    res.json({ authenticated: false });
-  }
+app.get('/login', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'login.html'));
 });
 
-app.post('/api/auth/change-password', requireAuth, async (req, res) => {
-  const { currentPassword, newPassword } = req.body;
-  
-  if (!currentPassword || !newPassword) {
-    return res.status(400).json({ error: 'Both passwords required' });
-  }
+// Public config (no secrets)
+app.get('/api/config', async (req, res) => {
+  let iceServers = CONFIG.iceServers; // fallback
   
-  if (newPassword.length < 8) {
-    return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  // Use Twilio's TURN servers if available (more reliable)
+  if (twilioClient) {
+    try {
+      const token = await twilioClient.tokens.create();
+      iceServers = token.iceServers;
+      console.log('Using Twilio TURN servers');
+    } catch (err) {
+      console.error('Twilio TURN error:', err.message);
+      // Fall back to configured servers
+    }
   }
   
-  try {
-    const [rows] = await db.query(
-      'SELECT password_hash FROM owners WHERE id = ?',
-      [req.session.ownerId]
-    );
-    
-    const validPassword = await bcrypt.compare(currentPassword, rows[0].password_hash);
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Current password incorrect' });
+  res.json({
+    vapidPublicKey: CONFIG.vapid.publicKey,
+    iceServers,
+    voicemail: {
+      enabled: CONFIG.calls.voicemailEnabled,
+      maxSeconds: CONFIG.calls.voicemailMaxSeconds
+    },
+    wallet: {
+      chains: getOfferedChains()
+    },
+    payments: {
+      enabled: !!getLightningBackend(),
+      callPriceSats: getPaymentPrice('call'),
+      messagePriceSats: getPaymentPrice('message')
     }
-    
-    const newHash = await bcrypt.hash(newPassword, 10);
-    await db.query(
-      'UPDATE owners SET password_hash = ? WHERE id = ?',
-      [newHash, req.session.ownerId]
-    );
-    
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Password change error:', err);
-    res.status(500).json({ error: 'Server error' });
-  }
+  });
 });
 
 // =============================================================================
-// ROUTES - VISITOR/MESSAGING
+// ROUTES - WALLET (Public)
 // =============================================================================
 
-// Get or create visitor
-app.post('/api/visitor/register', async (req, res) => {
-  const { name, email } = req.body;
-  let visitorId = req.body.visitorId;
+// Validate an address generated in the browser (BIP-39/44 keys never leave the client)
+app.post('/api/wallet/generate', rateLimit('walletGenerate'), (req, res) => {
+  const chain = req.body.chain?.toLowerCase();
+  const address = req.body.address?.trim();
   
-  try {
-    if (visitorId) {
-      // Check if visitor exists
-      const [existing] = await db.query(
-        'SELECT id, visitor_id, name FROM visitors WHERE visitor_id = ?',
-        [visitorId]
-      );
-      
-      if (existing.length > 0) {
-        // Update name if provided
-        if (name && name !== existing[0].name) {
-          await db.query('UPDATE visitors SET name = ? WHERE id = ?', [name, existing[0].id]);
-        }
-        return res.json({ visitorId: existing[0].visitor_id, id: existing[0].id });
-      }
-    }
-    
-    // Create new visitor
-    visitorId = uuidv4();
-    const [result] = await db.query(
-      'INSERT INTO visitors (visitor_id, name, email) VALUES (?, ?, ?)',
-      [visitorId, name || 'Anonymous', email || null]
-    );
-    
-    // Create conversation for this visitor
-    await db.query(
-      'INSERT INTO conversations (visitor_id) VALUES (?)',
-      [result.insertId]
-    );
-    
-    res.json({ visitorId, id: result.insertId });
-  } catch (err) {
-    console.error('Visitor registration error:', err);
-    res.status(500).json({ error: 'Server error' });
+  const supportedChains = ['btc', 'bsv', 'bch'];
+  if (!supportedChains.includes(chain)) {
+    return res.status(400).json({ 
+      error: `Unsupported chain. Use: ${supportedChains.join(', ')}` 
+    });
+  }
+  
+  if (!address) {
+    return res.status(400).json({ error: 'Address required - wallets are generated in the browser' });
+  }
+  
+  if (req.body.privateKey || req.body.mnemonic) {
+    return res.status(400).json({ error: 'Never send private keys or seed phrases to the server' });
   }
+  
+  const valid = validateWalletAddress(chain, address);
+  res.json({ valid, chain, address, ...(valid ? {} : { error: `Not a valid ${chain.toUpperCase()} address` }) });
 });
 
-// Send message (visitor)
-app.post('/api/messages/send', async (req, res) => {
-  const { visitorId, message, name } = req.body;
+/**
+ * Look up the challenge a signed message was issued as. Returns the challenge
+ * row, or { error } if the message wasn't issued to this visitor, has expired,
+ * or was already used.
+ */
+async function findWalletChallenge(message, visitorId) {
+  const nonceMatch = /^Nonce: ([0-9a-f]{32})$/m.exec(message);
+  if (!nonceMatch) {
+    return { error: 'Message was not issued by this server' };
+  }
   
-  if (!visitorId || !message) {
-    return res.status(400).json({ error: 'Visitor ID and message required' });
+  const [rows] = await db.query(
+    `SELECT wc.id, wc.visitor_id, wc.message, wc.consumed_at,
+            wc.expires_at < NOW() as expired
+     FROM wallet_challenges wc
+     JOIN visitors v ON v.id = wc.visitor_id
+     WHERE wc.nonce = ? AND v.visitor_id = ?`,
+    [nonceMatch[1], visitorId]
+  );
+  
+  // Line endings can get normalised when the message is copied into a wallet
+  if (rows.length === 0 || rows[0].message !== message.replace(/\r\n/g, '\n')) {
+    return { error: 'Message was not issued by this server' };
+  }
+  if (rows[0].consumed_at) {
+    return { error: 'This challenge has already been used - request a new one' };
+  }
+  if (rows[0].expired) {
+    return { error: 'This challenge has expired - request a new one' };
   }
   
-  try {
-    // Get visitor and conversation
-    const [visitors] = await db.query(
-      'SELECT v.id, c.id as conversation_id FROM visitors v ' +
-      'JOIN conversations c ON c.visitor_id = v.id ' +
-      'WHERE v.visitor_id = ?',
-      [visitorId]
-    );
+  return rows[0];
+}
+
+// Mark a challenge used - only one verification can win. Returns false if it was already used or expired.
+async function consumeWalletChallenge(challengeId) {
+  const [consumed] = await db.query(
+    `UPDATE wallet_challenges SET consumed_at = NOW()
+     WHERE id = ? AND consumed_at IS NULL AND expires_at >= NOW()`,
+    [challengeId]
+  );
+  return consumed.affectedRows > 0;
+}
+
+// EVM addresses are case-insensitive - store one canonical form
+function canonicalWalletAddress(address, chain) {
+  return chain.startsWith('eth') ? address.toLowerCase() : address;
+}
+
+// =============================================================================
+// VISITOR WALLETS (many verified wallets per visitor, one primary)
+// =============================================================================
+
+/**
+ * Mirror the primary wallet into visitors.wallet_* so single-wallet lookups
+ * keep working. Clears the columns when the visitor has no wallets left.
+ */
+async function syncPrimaryWallet(visitorDbId) {
+  await db.query(
+    `UPDATE visitors v
+     LEFT JOIN visitor_wallets w ON w.visitor_id = v.id AND w.is_primary = TRUE
+     SET v.wallet_address = w.wallet_address, v.wallet_chain = w.wallet_chain,
+         v.wallet_verified_at = w.verified_at
+     WHERE v.id = ?`,
+    [visitorDbId]
+  );
+}
+
+/**
+ * Add a verified wallet to a visitor (or refresh its verified_at). The first
+ * wallet becomes primary. A wallet can only belong to one visitor.
+ */
+async function linkVisitorWallet(visitorDbId, address, chain) {
+  const [existing] = await db.query(
+    'SELECT id, visitor_id, is_primary FROM visitor_wallets WHERE wallet_address = ? AND wallet_chain = ?',
+    [address, chain]
+  );
+  
+  if (existing.length > 0) {
+    if (existing[0].visitor_id !== visitorDbId) {
+      return { error: 'This wallet is already linked to another conversation - use "Restore your conversation" to switch to it' };
+    }
+    await db.query('UPDATE visitor_wallets SET verified_at = NOW() WHERE id = ?', [existing[0].id]);
+    return { id: existing[0].id, isPrimary: !!existing[0].is_primary };
+  }
+  
+  const [[{ count }]] = await db.query(
+    'SELECT COUNT(*) as count FROM visitor_wallets WHERE visitor_id = ?',
+    [visitorDbId]
+  );
+  const isPrimary = count === 0;
+  
+  const [result] = await db.query(
+    'INSERT INTO visitor_wallets (visitor_id, wallet_address, wallet_chain, is_primary) VALUES (?, ?, ?, ?)',
+    [visitorDbId, address, chain, isPrimary]
+  );
+  
+  if (isPrimary) await syncPrimaryWallet(visitorDbId);
+  
+  return { id: result.insertId, isPrimary };
+}
+
+// All wallets for a visitor (by public visitor_id), primary first
+async function getVisitorWallets(visitorId) {
+  const [wallets] = await db.query(
+    `SELECT w.id, w.wallet_address as address, w.wallet_chain as chain, w.nip05,
+            w.verified_at as verifiedAt, w.is_primary as isPrimary
+     FROM visitor_wallets w
+     JOIN visitors v ON v.id = w.visitor_id
+     WHERE v.visitor_id = ?
+     ORDER BY w.is_primary DESC, w.verified_at ASC`,
+    [visitorId]
+  );
+  return wallets.map(w => ({ ...w, isPrimary: !!w.isPrimary }));
+}
+
+// Verify a wallet signature against a challenge from /api/wallet/message
+// Nostr identities may also claim a NIP-05 name (body.nip05), checked by the resolver
+app.post('/api/wallet/verify', rateLimit('walletChallenge', 'ip'), requireVisitor, rateLimit('walletChallenge', 'visitor'), async (req, res) => {
+  const { chain, message, signature, visitorId, nip05 } = req.body;
+  let { address } = req.body;
+  
+  if (!chain || !address || !message || !signature || !visitorId) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  if (!db) {
+    return res.status(503).json({ error: 'Database unavailable' });
+  }
+  
+  try {
+    const challenge = await findWalletChallenge(message, visitorId);
+    if (challenge.error) {
+      return res.status(400).json({ verified: false, error: challenge.error });
+    }
     
-    if (visitors.length === 0) {
-      return res.status(404).json({ error: 'Visitor not found' });
+    // Use async verification with proper crypto libraries
+    const result = await verifySignature(chain, address, message, signature);
+    
+    if (result.valid) {
+      if (!await consumeWalletChallenge(challenge.id)) {
+        return res.status(400).json({ verified: false, error: 'This challenge has already been used - request a new one' });
+      }
+      
+      address = result.address;
+      const walletAddress = canonicalWalletAddress(address, result.chain);
+      const linked = await linkVisitorWallet(challenge.visitor_id, walletAddress, result.chain);
+      if (linked.error) {
+        return res.status(409).json({ verified: false, error: linked.error });
+      }
+      
+      // A failed NIP-05 lookup doesn't undo the verification - the key is proven
+      let nip05Result = {};
+      if (result.chain === 'nostr' && nip05) {
+        nip05Result = await resolveNip05(NIP05_RESOLVERS[CONFIG.nostr.nip05Resolver], nip05, nostrPubkeyHex(address));
+        if (nip05Result.nip05) {
+          await db.query('UPDATE visitor_wallets SET nip05 = ? WHERE id = ?', [nip05Result.nip05, linked.id]);
+        }
+      }
+      
+      console.log(`✓ Wallet verified: ${result.chain}:${address}`);
+      
+      res.json({
+        verified: true,
+        chain: result.chain,
+        address,
+        walletId: linked.id,
+        isPrimary: linked.isPrimary,
+        nip05: nip05Result.nip05,
+        nip05Error: nip05Result.error,
+        shortAddress: address.length > 16 
+          ? address.substring(0, 8) + '...' + address.slice(-6)
+          : address
+      });
+    } else {
+      res.json({ verified: false, error: result.error || 'Signature verification failed' });
     }
     
-    const { id: visitorDbId, conversation_id } = visitors[0];
+  } catch (err) {
+    console.error('Verification error:', err);
+    res.status(500).json({ error: 'Verification failed: ' + err.message });
+  }
+});
+
+// Recover a visitor on a new device: sign a challenge issued to the current
+// (new) visitor with a wallet verified earlier, get the original visitorId back
+app.post('/api/wallet/restore', requireVisitor, async (req, res) => {
+  const { chain, address, message, signature, visitorId } = req.body;
+  
+  if (!chain || !address || !message || !signature || !visitorId) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  if (!db) {
+    return res.status(503).json({ error: 'Database unavailable' });
+  }
+  
+  try {
+    const challenge = await findWalletChallenge(message, visitorId);
+    if (challenge.error) {
+      return res.status(400).json({ verified: false, error: challenge.error });
+    }
     
-    // Save message
-    const [result] = await db.query(
-      'INSERT INTO messages (conversation_id, sender_type, sender_id, content, message_type) VALUES (?, ?, ?, ?, ?)',
-      [conversation_id, 'visitor', visitorDbId, message, 'text']
+    const result = await verifySignature(chain, address, message, signature);
+    if (!result.valid) {
+      return res.json({ verified: false, error: result.error || 'Signature verification failed' });
+    }
+    
+    if (!await consumeWalletChallenge(challenge.id)) {
+      return res.status(400).json({ verified: false, error: 'This challenge has already been used - request a new one' });
+    }
+    
+    const [rows] = await db.query(
+      `SELECT v.id, v.visitor_id, v.name FROM visitor_wallets w
+       JOIN visitors v ON v.id = w.visitor_id
+       WHERE w.wallet_address = ? AND w.wallet_chain = ?`,
+      [canonicalWalletAddress(result.address, result.chain), result.chain]
     );
     
-    // Update conversation timestamp
-    await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = ?', [conversation_id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ verified: false, error: 'No conversation is linked to this wallet' });
+    }
     
-    const savedMessage = {
-      id: result.insertId,
-      conversationId: conversation_id,
-      senderType: 'visitor',
-      content: message,
-      messageType: 'text',
-      isRead: false,
-      createdAt: new Date().toISOString()
-    };
+    await db.query('UPDATE visitors SET last_seen = NOW() WHERE id = ?', [rows[0].id]);
     
-    // Notify owner via Socket.IO
-    io.to('owner-room').emit('new-message', {
-      ...savedMessage,
-      visitorId,
-      visitorName: name || 'Anonymous'
+    // This browser's token switches to the restored visitor
+    await revokeVisitorTokens(req.visitor.id, req.visitor.visitorId, req.visitor.tokenId);
+    const issued = await issueVisitorToken(rows[0].id, rows[0].visitor_id);
+    
+    console.log(`✓ Visitor ${rows[0].visitor_id} restored with ${result.chain}:${result.address}`);
+    
+    res.json({
+      verified: true,
+      restored: true,
+      visitorId: rows[0].visitor_id,
+      name: rows[0].name,
+      chain: result.chain,
+      address: result.address,
+      ...issued
     });
+  } catch (err) {
+    console.error('Restore error:', err);
+    res.status(500).json({ error: 'Restore failed: ' + err.message });
+  }
+});
+
+// Issue a single-use challenge for the visitor to sign
+// Query: visitorId, and for SIWE: chain=eth, address, chainId
+app.get('/api/wallet/message', rateLimit('walletChallenge', 'ip'), requireVisitor, rateLimit('walletChallenge', 'visitor'), async (req, res) => {
+  const { visitorId, chain, address } = req.query;
+  const chainId = parseInt(req.query.chainId || '1');
+  const siwe = chain === 'eth';
+  
+  if (!visitorId) {
+    return res.status(400).json({ error: 'Visitor ID required' });
+  }
+  
+  if (siwe) {
+    if (!getAvailableVerifiers().eth) {
+      return res.status(400).json({ error: 'ETH verification is not supported on this server' });
+    }
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address || '')) {
+      return res.status(400).json({ error: 'Valid Ethereum address required' });
+    }
+    if (!CONFIG.wallet.evmChainIds.includes(chainId)) {
+      return res.status(400).json({ error: 'Unsupported EVM chain ID' });
+    }
+  }
+  
+  if (!db) {
+    return res.status(503).json({ error: 'Database unavailable' });
+  }
+  
+  try {
+    const [visitors] = await db.query('SELECT id FROM visitors WHERE visitor_id = ?', [visitorId]);
+    if (visitors.length === 0) {
+      return res.status(404).json({ error: 'Visitor not found' });
+    }
     
-    // Send push notification
-    await sendPushNotification(
-      '💬 New Message',
-      `${name || 'Someone'}: ${message.substring(0, 50)}...`,
-      { type: 'message', conversationId: conversation_id }
-    );
+    const timestamp = new Date().toISOString();
+    const expiresAt = new Date(Date.now() + CONFIG.wallet.challengeTtlSeconds * 1000).toISOString();
+    const nonce = crypto.randomBytes(16).toString('hex');
     
-    // Send email notification
-    await sendEmailNotification('message', { senderName: name || 'Anonymous', message });
+    const message = siwe
+      ? buildSiweMessage({ address, chainId, visitorId, nonce, issuedAt: timestamp, expiresAt })
+      : [
+        `Verify identity for HomeBase`,
+        `Domain: ${CONFIG.domain}`,
+        `Visitor: ${visitorId}`,
+        `Timestamp: ${timestamp}`,
+        `Expires: ${expiresAt}`,
+        `Nonce: ${nonce}`
+      ].join('\n');
     
-    res.json({ success: true, message: savedMessage });
+    await db.query(
+      `INSERT INTO wallet_challenges (visitor_id, nonce, message, expires_at)
+       VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+      [visitors[0].id, nonce, message, CONFIG.wallet.challengeTtlSeconds]
+    );
+    
+    res.json({ message, timestamp, expiresAt, nonce });
   } catch (err) {
-    console.error('Send message error:', err);
+    console.error('Wallet challenge error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get messages for visitor
-app.get('/api/messages/:visitorId', async (req, res) => {
+// Get visitor's wallet status (primary wallet + all linked wallets)
+app.get('/api/wallet/status/:visitorId', requireVisitor, async (req, res) => {
   const { visitorId } = req.params;
   
+  if (!db) {
+    return res.json({ verified: false });
+  }
+  
   try {
-    const [messages] = await db.query(
-      `SELECT m.id, m.sender_type as senderType, m.content, m.message_type as messageType,
-              m.is_read as isRead, m.read_at as readAt, m.created_at as createdAt,
-              a.filename, a.original_name as originalName, a.mime_type as mimeType
-       FROM messages m
-       LEFT JOIN attachments a ON a.message_id = m.id
-       JOIN conversations c ON c.id = m.conversation_id
-       JOIN visitors v ON v.id = c.visitor_id
-       WHERE v.visitor_id = ?
-       ORDER BY m.created_at ASC`,
-      [visitorId]
-    );
+    const wallets = await getVisitorWallets(visitorId);
+    const primary = wallets.find(w => w.isPrimary) || wallets[0];
     
-    res.json({ messages });
+    if (primary) {
+      res.json({
+        verified: true,
+        address: primary.address,
+        chain: primary.chain,
+        verifiedAt: primary.verifiedAt,
+        wallets
+      });
+    } else {
+      res.json({ verified: false, wallets: [] });
+    }
   } catch (err) {
-    console.error('Get messages error:', err);
-    res.status(500).json({ error: 'Server error' });
+    console.error('Wallet status error:', err);
+    res.json({ verified: false });
   }
 });
 
-// Upload file (visitor)
-app.post('/api/messages/upload', upload.single('file'), async (req, res) => {
-  const { visitorId, name, messageType } = req.body;
-  
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+// List a visitor's verified wallets
+app.get('/api/wallets/:visitorId', requireVisitor, async (req, res) => {
+  if (!db) {
+    return res.status(503).json({ error: 'Database unavailable' });
   }
   
-  if (!visitorId) {
-    return res.status(400).json({ error: 'Visitor ID required' });
+  try {
+    res.json({ wallets: await getVisitorWallets(req.params.visitorId) });
+  } catch (err) {
+    console.error('List wallets error:', err);
+    res.status(500).json({ error: 'Server error' });
   }
+});
+
+// Make one of the visitor's wallets primary
+app.post('/api/wallets/:visitorId/:walletId/primary', requireVisitor, async (req, res) => {
+  const { visitorId, walletId } = req.params;
   
   try {
-    // Get visitor and conversation
-    const [visitors] = await db.query(
-      'SELECT v.id, c.id as conversation_id FROM visitors v ' +
-      'JOIN conversations c ON c.visitor_id = v.id ' +
-      'WHERE v.visitor_id = ?',
-      [visitorId]
+    const [rows] = await db.query(
+      `SELECT w.id, w.visitor_id FROM visitor_wallets w
+       JOIN visitors v ON v.id = w.visitor_id
+       WHERE w.id = ? AND v.visitor_id = ?`,
+      [walletId, visitorId]
     );
     
-    if (visitors.length === 0) {
-      return res.status(404).json({ error: 'Visitor not found' });
-    }
-    
-    const { id: visitorDbId, conversation_id } = visitors[0];
-    
-    // Determine message type and content
-    let msgType = messageType || 'file';
-    let messageContent;
-    
-    if (req.file.mimetype.startsWith('audio/')) {
-      msgType = 'voice';
-      messageContent = '🎤 Voice message';
-    } else if (req.file.mimetype.startsWith('image/')) {
-      msgType = 'image';
-      messageContent = '📷 Image';
-    } else {
-      msgType = 'file';
-      messageContent = `📎 ${req.file.originalname}`;
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Wallet not found' });
     }
     
-    const [messageResult] = await db.query(
-      'INSERT INTO messages (conversation_id, sender_type, sender_id, content, message_type) VALUES (?, ?, ?, ?, ?)',
-      [conversation_id, 'visitor', visitorDbId, messageContent, msgType]
+    await db.query(
+      'UPDATE visitor_wallets SET is_primary = (id = ?) WHERE visitor_id = ?',
+      [rows[0].id, rows[0].visitor_id]
     );
+    await syncPrimaryWallet(rows[0].visitor_id);
     
-    // Save attachment
-    await db.query(
-      'INSERT INTO attachments (message_id, filename, original_name, mime_type, size_bytes) VALUES (?, ?, ?, ?, ?)',
-      [messageResult.insertId, req.file.filename, req.file.originalname, req.file.mimetype, req.file.size]
+    res.json({ success: true, wallets: await getVisitorWallets(visitorId) });
+  } catch (err) {
+    console.error('Set primary wallet error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unlink a wallet - if it was primary, the oldest remaining wallet takes over.
+// Deny-listed wallets can't be unlinked, or the visitor would shed the block.
+app.delete('/api/wallets/:visitorId/:walletId', requireVisitor, async (req, res) => {
+  const { visitorId, walletId } = req.params;
+  
+  try {
+    const [rows] = await db.query(
+      `SELECT w.id, w.visitor_id, w.is_primary, l.list_type FROM visitor_wallets w
+       JOIN visitors v ON v.id = w.visitor_id
+       LEFT JOIN wallet_access_list l ON l.wallet_address = w.wallet_address
+       WHERE w.id = ? AND v.visitor_id = ?`,
+      [walletId, visitorId]
     );
     
-    // Update conversation timestamp
-    await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = ?', [conversation_id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Wallet not found' });
+    }
     
-    const savedMessage = {
-      id: messageResult.insertId,
-      conversationId: conversation_id,
-      senderType: 'visitor',
-      content: messageContent,
-      messageType: msgType,
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      mimeType: req.file.mimetype,
-      isRead: false,
-      createdAt: new Date().toISOString()
-    };
+    const refusal = unlinkRefusal(rows[0]);
+    if (refusal) {
+      return res.status(403).json({ error: refusal });
+    }
     
-    // Notify owner via Socket.IO
-    io.to('owner-room').emit('new-message', {
-      ...savedMessage,
-      visitorId,
-      visitorName: name || 'Anonymous'
-    });
+    await db.query('DELETE FROM visitor_wallets WHERE id = ?', [rows[0].id]);
     
-    // Send push notification
-    const notifTitle = msgType === 'voice' ? '🎤 Voice Message' : '📎 New File';
-    await sendPushNotification(
-      notifTitle,
-      `${name || 'Someone'} sent a ${msgType === 'voice' ? 'voice message' : 'file'}`,
-      { type: 'message', conversationId: conversation_id }
-    );
+    if (rows[0].is_primary) {
+      await db.query(
+        'UPDATE visitor_wallets SET is_primary = TRUE WHERE visitor_id = ? ORDER BY verified_at ASC LIMIT 1',
+        [rows[0].visitor_id]
+      );
+    }
+    await syncPrimaryWallet(rows[0].visitor_id);
     
-    res.json({ success: true, message: savedMessage });
+    res.json({ success: true, wallets: await getVisitorWallets(visitorId) });
   } catch (err) {
-    console.error('File upload error:', err);
+    console.error('Unlink wallet error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // =============================================================================
-// ROUTES - OWNER (PROTECTED)
+// ACCESS RULES (wallet-gated calls and messages)
 // =============================================================================
 
-// Get all conversations
-app.get('/api/owner/conversations', requireAuth, async (req, res) => {
+const ACCESS_RULE_COLUMNS = {
+  unverifiedTextOnly: 'unverified_text_only',
+  videoRequiresWallet: 'video_requires_wallet',
+  allowlistOnlyCalls: 'allowlist_only_calls',
+  verifiedPriority: 'verified_priority'
+};
+
+async function getAccessRules() {
+  const [rows] = await db.query('SELECT * FROM access_rules WHERE id = 1');
+  const rules = {};
+  for (const [key, column] of Object.entries(ACCESS_RULE_COLUMNS)) {
+    rules[key] = !!rows[0]?.[column];
+  }
+  return rules;
+}
+
+/**
+ * Decide whether a visitor may take an action ('voice', 'video', 'message' or
+ * 'upload') - the rules themselves are in lib/access-rules.js.
+ * Returns { allowed, reason, priority }.
+ */
+async function checkVisitorAccess(visitorId, action) {
+  if (!db) return { allowed: true, priority: 'normal' };
+  
   try {
-    const [conversations] = await db.query(
-      `SELECT 
-        c.id,
-        c.status,
-        c.updated_at as updatedAt,
-        v.visitor_id as visitorId,
-        v.name as visitorName,
-        v.email as visitorEmail,
-        (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id AND m.is_read = FALSE AND m.sender_type = 'visitor') as unreadCount,
-        (SELECT content FROM messages m WHERE m.conversation_id = c.id ORDER BY m.created_at DESC LIMIT 1) as lastMessage
-       FROM conversations c
-       JOIN visitors v ON v.id = c.visitor_id
-       WHERE c.status = 'active'
-       ORDER BY c.updated_at DESC`
+    const rules = await getAccessRules();
+    const [wallets] = await db.query(
+      `SELECT w.wallet_address, l.list_type FROM visitor_wallets w
+       JOIN visitors v ON v.id = w.visitor_id
+       LEFT JOIN wallet_access_list l ON l.wallet_address = w.wallet_address
+       WHERE v.visitor_id = ?`,
+      [visitorId]
     );
-    
-    res.json({ conversations });
+    return decideAccess(rules, wallets, action);
   } catch (err) {
-    console.error('Get conversations error:', err);
+    console.error('Access check error:', err);
+    return { allowed: false, reason: 'Could not check access rules - please try again' };
+  }
+}
+
+// Allow/deny list entries are matched on address; EVM addresses in lowercase
+function normalizeListedAddress(address) {
+  return /^0x[0-9a-fA-F]{40}$/.test(address) ? address.toLowerCase() : address;
+}
+
+app.get('/api/owner/access-rules', requireAuth, async (req, res) => {
+  try {
+    const [list] = await db.query(
+      `SELECT id, wallet_address as address, list_type as listType, note, created_at as createdAt
+       FROM wallet_access_list ORDER BY created_at DESC`
+    );
+    res.json({ rules: await getAccessRules(), list });
+  } catch (err) {
+    console.error('Get access rules error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Delete a conversation
-app.delete('/api/owner/conversations/:id', requireAuth, async (req, res) => {
-  const { id } = req.params;
+app.put('/api/owner/access-rules', requireAuth, async (req, res) => {
+  const updates = Object.entries(ACCESS_RULE_COLUMNS).filter(([key]) => typeof req.body[key] === 'boolean');
+  
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'No rules to update' });
+  }
   
   try {
-    // Delete messages first (foreign key constraint)
-    await db.execute('DELETE FROM messages WHERE conversation_id = ?', [id]);
-    // Delete the conversation
-    await db.execute('DELETE FROM conversations WHERE id = ?', [id]);
-    
+    await db.query(
+      `INSERT INTO access_rules (id, ${updates.map(([, column]) => column).join(', ')})
+       VALUES (1, ${updates.map(() => '?').join(', ')})
+       ON DUPLICATE KEY UPDATE ${updates.map(([, column]) => `${column} = VALUES(${column})`).join(', ')}`,
+      updates.map(([key]) => req.body[key])
+    );
+    res.json({ success: true, rules: await getAccessRules() });
+  } catch (err) {
+    console.error('Update access rules error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/owner/access-list', requireAuth, async (req, res) => {
+  const { address, listType, note } = req.body;
+  
+  if (!address?.trim() || !['allow', 'deny'].includes(listType)) {
+    return res.status(400).json({ error: 'Address and list type (allow or deny) required' });
+  }
+  
+  try {
+    await db.query(
+      `INSERT INTO wallet_access_list (wallet_address, list_type, note) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE list_type = VALUES(list_type), note = VALUES(note)`,
+      [normalizeListedAddress(address.trim()), listType, note || null]
+    );
     res.json({ success: true });
   } catch (err) {
-    console.error('Delete conversation error:', err);
-    res.status(500).json({ error: 'Failed to delete conversation' });
+    console.error('Add access list entry error:', err);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Clear all conversations
-app.delete('/api/owner/conversations', requireAuth, async (req, res) => {
+app.delete('/api/owner/access-list/:id', requireAuth, async (req, res) => {
   try {
-    await db.execute('DELETE FROM messages');
-    await db.execute('DELETE FROM call_logs');
-    await db.execute('DELETE FROM conversations');
-    await db.execute('DELETE FROM visitors');
+    await db.query('DELETE FROM wallet_access_list WHERE id = ?', [req.params.id]);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete access list entry error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// =============================================================================
+// PAYMENTS (Lightning invoices for paid calls and messages)
+// =============================================================================
+
+let QRCode = null;
+import('qrcode')
+  .then(m => { QRCode = m.default || m; })
+  .catch(() => console.log('⚠ qrcode not installed - invoices are shown without a QR code'));
+
+
+// A backend that hangs would hold invoice and payment-check requests open - give up after the timeout
+async function lightningRequest(url, options, backendName) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(CONFIG.payments.backendTimeoutSeconds * 1000) });
+  } catch (err) {
+    if (err.name === 'TimeoutError') throw new Error(`${backendName} did not answer within ${CONFIG.payments.backendTimeoutSeconds}s`);
+    throw err;
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`${backendName} ${response.status}: ${data.message || data.detail || data.error || 'request failed'}`);
+  }
+  return data;
+}
+
+/**
+ * Each backend creates a BOLT11 invoice ({ paymentHash, bolt11 }) and reports
+ * whether one has been settled ({ settled }).
+ */
+const LIGHTNING_BACKENDS = {
+  lnd: {
+    async createInvoice({ amountSats, memo, expirySeconds }) {
+      const { restUrl, macaroon } = CONFIG.payments.lnd;
+      const data = await lightningRequest(`${restUrl}/v1/invoices`, {
+        method: 'POST',
+        headers: { 'Grpc-Metadata-macaroon': macaroon, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ value: String(amountSats), memo, expiry: String(expirySeconds) })
+      }, 'LND');
+      return { paymentHash: Buffer.from(data.r_hash, 'base64').toString('hex'), bolt11: data.payment_request };
+    },
+    async checkInvoice(paymentHash) {
+      const { restUrl, macaroon } = CONFIG.payments.lnd;
+      const data = await lightningRequest(`${restUrl}/v1/invoice/${paymentHash}`, {
+        headers: { 'Grpc-Metadata-macaroon': macaroon }
+      }, 'LND');
+      return { settled: data.state === 'SETTLED' };
+    }
+  },
+  
+  lnbits: {
+    async createInvoice({ amountSats, memo, expirySeconds }) {
+      const { url, apiKey } = CONFIG.payments.lnbits;
+      // LNbits can't add headers - its HTTP client sends URL credentials as Basic auth
+      const webhook = CONFIG.payments.webhookSecret
+        ? `https://lnbits:${encodeURIComponent(CONFIG.payments.webhookSecret)}@${CONFIG.domain}/api/payments/webhook`
+        : undefined;
+      const data = await lightningRequest(`${url}/api/v1/payments`, {
+        method: 'POST',
+        headers: { 'X-Api-Key': apiKey, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ out: false, amount: amountSats, memo, expiry: expirySeconds, webhook })
+      }, 'LNbits');
+      return { paymentHash: data.payment_hash, bolt11: data.payment_request || data.bolt11 };
+    },
+    async checkInvoice(paymentHash) {
+      const { url, apiKey } = CONFIG.payments.lnbits;
+      const data = await lightningRequest(`${url}/api/v1/payments/${paymentHash}`, {
+        headers: { 'X-Api-Key': apiKey }
+      }, 'LNbits');
+      return { settled: !!data.paid };
+    }
+  },
+  
+  // In-memory invoices for local testing - settle them with POST /api/payments/stub/:paymentHash/settle
+  stub: createStubBackend()
+};
+
+function getLightningBackend() {
+  return LIGHTNING_BACKENDS[CONFIG.payments.backend] || null;
+}
+
+function getPaymentPrice(purpose) {
+  if (!getLightningBackend()) return 0;
+  return purpose === 'call' ? CONFIG.payments.callPriceSats : CONFIG.payments.messagePriceSats;
+}
+
+async function createPaymentInvoice(visitorId, purpose, amountSats) {
+  const [visitors] = await db.query('SELECT id FROM visitors WHERE visitor_id = ?', [visitorId]);
+  if (visitors.length === 0) {
+    throw new Error('Visitor not found');
+  }
+  
+  const expirySeconds = CONFIG.payments.invoiceExpirySeconds;
+  const { paymentHash, bolt11 } = await getLightningBackend().createInvoice({
+    amountSats,
+    memo: `HomeBase ${purpose} (${CONFIG.domain})`,
+    expirySeconds
+  });
+  const expiresAt = new Date(Date.now() + expirySeconds * 1000);
+  
+  await db.query(
+    `INSERT INTO payments (visitor_id, payment_hash, bolt11, amount_sats, purpose, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [visitors[0].id, paymentHash, bolt11, amountSats, purpose, expiresAt]
+  );
+  
+  return {
+    paymentHash,
+    bolt11,
+    amountSats,
+    purpose,
+    expiresAt: expiresAt.toISOString(),
+    qr: QRCode ? await QRCode.toDataURL(`lightning:${bolt11}`, { margin: 1, width: 256 }) : null
+  };
+}
+
+/**
+ * Ask the backend about a pending invoice and record it as paid once settled.
+ * Tells the visitor's page straight away so it doesn't have to wait for a poll.
+ */
+async function refreshPayment(payment) {
+  if (payment.status !== 'pending') return payment.status;
+  
+  const { settled } = await getLightningBackend().checkInvoice(payment.payment_hash);
+  if (!settled) {
+    return new Date(payment.expires_at) < new Date() ? 'expired' : 'pending';
+  }
+  
+  const [updated] = await db.query(
+    `UPDATE payments SET status = 'paid', paid_at = NOW() WHERE id = ? AND status = 'pending'`,
+    [payment.id]
+  );
+  if (updated.affectedRows > 0) {
+    console.log(`⚡ Payment ${payment.payment_hash.substring(0, 12)}... settled (${payment.amount_sats} sats)`);
+    io.to(`visitor-${payment.visitorId}`).emit('payment-settled', { paymentHash: payment.payment_hash });
+  }
+  return 'paid';
+}
+
+async function findPayment(paymentHash) {
+  const [rows] = await db.query(
+    `SELECT p.*, v.visitor_id as visitorId FROM payments p
+     JOIN visitors v ON v.id = p.visitor_id
+     WHERE p.payment_hash = ?`,
+    [paymentHash]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Decide whether a call/message can go ahead. Free when no price is set or the
+ * visitor's wallet is allow-listed; otherwise a settled, unused invoice for the
+ * same purpose is found ({ paymentId }) or a new one is issued ({ invoice }).
+ * The invoice isn't used up here - claimPayment does that once what it pays for exists.
+ */
+async function requirePayment(visitorId, purpose, paymentHash, access) {
+  const amountSats = getPaymentPrice(purpose);
+  if (!amountSats || access.allowListed) return {};
+  
+  const payment = paymentHash ? await findPayment(paymentHash) : null;
+  if (paymentCovers(payment, visitorId, purpose) && await refreshPayment(payment) === 'paid') {
+    return { paymentId: payment.id, amountSats: payment.amount_sats };
+  }
+  
+  return { invoice: await createPaymentInvoice(visitorId, purpose, amountSats) };
+}
+
+// Use up a paid invoice - true for the one request that wins it. Pass a
+// transaction's connection to claim it together with what it pays for.
+async function claimPayment(paymentId, conn = db) {
+  const [claimed] = await conn.query(
+    `UPDATE payments SET consumed_at = NOW() WHERE id = ? AND status = 'paid' AND consumed_at IS NULL`,
+    [paymentId]
+  );
+  return claimed.affectedRows > 0;
+}
+
+/**
+ * Save a visitor's message and claim the invoice paying for it in one
+ * transaction: `insert(conn)` writes the message and returns its id. A failed
+ * insert leaves the invoice unused; an invoice another request claimed first
+ * rolls the message back and returns null.
+ */
+async function insertPaidMessage(payment, insert) {
+  if (!payment.paymentId) return insert(db);
+  
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    const messageId = await insert(conn);
+    if (!await claimPayment(payment.paymentId, conn)) {
+      await conn.rollback();
+      return null;
+    }
+    await conn.query('UPDATE payments SET message_id = ? WHERE id = ?', [messageId, payment.paymentId]);
+    await conn.commit();
+    return messageId;
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Poll an invoice - the visitor page calls this until it is paid
+app.get('/api/payments/:paymentHash', requireVisitor, async (req, res) => {
+  if (!db || !getLightningBackend()) {
+    return res.status(503).json({ error: 'Payments unavailable' });
+  }
+  
+  try {
+    const payment = await findPayment(req.params.paymentHash);
+    if (!payment || payment.visitorId !== req.visitor.visitorId) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
     
+    const status = await refreshPayment(payment);
+    res.json({ paymentHash: payment.payment_hash, status, paid: status === 'paid' });
+  } catch (err) {
+    console.error('Payment status error:', err);
+    res.status(502).json({ error: 'Could not check the invoice' });
+  }
+});
+
+// The webhook secret travels in a header so proxy and access logs don't record
+// it: X-Webhook-Secret, or the password of a Basic Authorization header
+function hasPaymentWebhookSecret(req) {
+  let given = req.get('X-Webhook-Secret');
+  
+  const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+  if (!given && scheme === 'Basic' && credentials) {
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    given = decoded.slice(decoded.indexOf(':') + 1);
+  }
+  
+  const expected = Buffer.from(CONFIG.payments.webhookSecret);
+  given = Buffer.from(given || '');
+  return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Settlement webhook (LNbits posts the payment here). The body is only used to
+// find the invoice - settlement is always confirmed with the backend.
+app.post('/api/payments/webhook', async (req, res) => {
+  if (!hasPaymentWebhookSecret(req)) {
+    console.warn('Rejected payment webhook with a bad secret');
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  
+  const paymentHash = req.body.payment_hash || req.body.paymentHash;
+  
+  try {
+    const payment = paymentHash && await findPayment(paymentHash);
+    if (payment) await refreshPayment(payment);
     res.json({ success: true });
   } catch (err) {
-    console.error('Clear all error:', err);
-    res.status(500).json({ error: 'Failed to clear conversations' });
+    console.error('Payment webhook error:', err);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get conversation messages
-app.get('/api/owner/conversations/:id/messages', requireAuth, async (req, res) => {
-  const { id } = req.params;
+// Local testing only: mark a stub invoice as paid
+app.post('/api/payments/stub/:paymentHash/settle', (req, res) => {
+  if (CONFIG.payments.backend !== 'stub' || !LIGHTNING_BACKENDS.stub.settle(req.params.paymentHash)) {
+    return res.status(404).json({ error: 'Invoice not found' });
+  }
+  
+  res.json({ success: true });
+});
+
+// =============================================================================
+// ROUTES - AUTHENTICATION
+// =============================================================================
+
+// Step one: password. With 2FA enabled the session waits for /api/auth/login/2fa
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body;
+  
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password required' });
+  }
+  
+  const retryAfter = loginRetryAfter(username, req.ip);
+  if (retryAfter) {
+    return sendLoginLocked(res, retryAfter);
+  }
   
   try {
-    // Get visitor ID for this conversation
-    const [convInfo] = await db.query(
-      'SELECT v.visitor_id as visitorId FROM conversations c JOIN visitors v ON v.id = c.visitor_id WHERE c.id = ?',
-      [id]
+    const [rows] = await db.query(
+      'SELECT id, username, password_hash, totp_enabled_at FROM owners WHERE username = ?',
+      [username]
     );
     
-    const [messages] = await db.query(
-      `SELECT m.id, m.sender_type as senderType, m.content, m.message_type as messageType,
-              m.is_read as isRead, m.read_at as readAt, m.created_at as createdAt,
-              a.filename, a.original_name as originalName, a.mime_type as mimeType
-       FROM messages m
-       LEFT JOIN attachments a ON a.message_id = m.id
-       WHERE m.conversation_id = ?
-       ORDER BY m.created_at ASC`,
-      [id]
-    );
+    // Unknown usernames take as long and count the same as a wrong password
+    const owner = rows[0];
+    const validPassword = await bcrypt.compare(String(password), owner?.password_hash || DUMMY_PASSWORD_HASH);
     
-    // Get IDs of unread visitor messages
-    const unreadIds = messages
-      .filter(m => m.senderType === 'visitor' && !m.isRead)
-      .map(m => m.id);
+    if (!owner || !validPassword) {
+      recordLoginFailure(username, req.ip);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
     
-    // Mark messages as read
-    if (unreadIds.length > 0) {
-      await db.query(
-        `UPDATE messages SET is_read = TRUE, read_at = NOW() 
-         WHERE conversation_id = ? AND sender_type = 'visitor' AND is_read = FALSE`,
-        [id]
-      );
-      
-      // Emit read receipt to visitor
-      if (convInfo.length > 0) {
-        io.to(`visitor-${convInfo[0].visitorId}`).emit('messages-read', {
-          messageIds: unreadIds,
-          readAt: new Date().toISOString()
-        });
-      }
+    // Failures are only cleared once the second factor is in too
+    if (owner.totp_enabled_at) {
+      req.session.pendingOwner = { id: owner.id, username: owner.username, expiresAt: Date.now() + 5 * 60 * 1000 };
+      return res.json({ twoFactorRequired: true });
     }
     
-    res.json({ messages });
+    clearLoginFailures(username, req.ip);
+    await completeOwnerLogin(req, owner);
+    
+    res.json({ success: true, username: owner.username });
   } catch (err) {
-    console.error('Get conversation messages error:', err);
+    console.error('Login error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Send message (owner)
-app.post('/api/owner/messages/send', requireAuth, async (req, res) => {
-  const { conversationId, message } = req.body;
+// Step two: authenticator code or a recovery code
+app.post('/api/auth/login/2fa', async (req, res) => {
+  const pending = req.session.pendingOwner;
   
-  if (!conversationId || !message) {
-    return res.status(400).json({ error: 'Conversation ID and message required' });
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.pendingOwner;
+    return res.status(401).json({ error: 'Sign in again', restart: true });
+  }
+  
+  const retryAfter = loginRetryAfter(pending.username, req.ip);
+  if (retryAfter) {
+    return sendLoginLocked(res, retryAfter);
   }
   
   try {
-    // Get visitor info
-    const [convos] = await db.query(
-      `SELECT c.id, v.visitor_id as visitorId
-       FROM conversations c
-       JOIN visitors v ON v.id = c.visitor_id
-       WHERE c.id = ?`,
-      [conversationId]
+    const [rows] = await db.query(
+      'SELECT id, username, totp_secret, totp_last_step, recovery_codes FROM owners WHERE id = ?',
+      [pending.id]
     );
     
-    if (convos.length === 0) {
-      return res.status(404).json({ error: 'Conversation not found' });
+    const method = rows.length > 0 ? await verifySecondFactor(rows[0], req.body) : null;
+    if (!method) {
+      recordLoginFailure(pending.username, req.ip);
+      return res.status(401).json({ error: 'Invalid code' });
     }
     
-    // Save message
-    const [result] = await db.query(
-      'INSERT INTO messages (conversation_id, sender_type, sender_id, content, is_read) VALUES (?, ?, ?, ?, TRUE)',
-      [conversationId, 'owner', req.session.ownerId, message]
-    );
-    
-    // Update conversation timestamp
-    await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = ?', [conversationId]);
-    
-    const savedMessage = {
-      id: result.insertId,
-      conversationId,
-      senderType: 'owner',
-      content: message,
-      createdAt: new Date().toISOString()
-    };
-    
-    // Notify visitor via Socket.IO
-    io.to(`visitor-${convos[0].visitorId}`).emit('new-message', savedMessage);
+    clearLoginFailures(pending.username, req.ip);
+    await completeOwnerLogin(req, rows[0]);
     
-    res.json({ success: true, message: savedMessage });
+    const response = { success: true, username: rows[0].username };
+    if (method === 'recovery') {
+      response.recoveryCodesLeft = JSON.parse(rows[0].recovery_codes).length - 1;
+    }
+    res.json(response);
   } catch (err) {
-    console.error('Owner send message error:', err);
+    console.error('Login 2FA error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Upload file (owner)
-app.post('/api/owner/messages/upload', requireAuth, upload.single('file'), async (req, res) => {
-  const { conversationId, messageType } = req.body;
+app.post('/api/auth/logout', (req, res) => {
+  req.session.destroy();
+  res.json({ success: true });
+});
+
+app.get('/api/auth/check', (req, res) => {
+  if (req.session && req.session.ownerId) {
+    res.json({ authenticated: true, username: req.session.username });
+  } else {
+    res.json({ authenticated: false });
+  }
+});
+
+app.post('/api/auth/change-password', requireAuth, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'Both passwords required' });
+  }
+  
+  if (newPassword.length < 8) {
+    return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  }
+  
+  try {
+    const [rows] = await db.query(
+      'SELECT password_hash FROM owners WHERE id = ?',
+      [req.session.ownerId]
+    );
+    
+    const validPassword = await bcrypt.compare(currentPassword, rows[0].password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Current password incorrect' });
+    }
+    
+    const newHash = await bcrypt.hash(newPassword, 10);
+    await db.query(
+      'UPDATE owners SET password_hash = ? WHERE id = ?',
+      [newHash, req.session.ownerId]
+    );
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Password change error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Two-factor status
+app.get('/api/auth/2fa', requireAuth, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      'SELECT totp_enabled_at, recovery_codes FROM owners WHERE id = ?',
+      [req.session.ownerId]
+    );
+    
+    res.json({
+      enabled: !!rows[0].totp_enabled_at,
+      enabledAt: rows[0].totp_enabled_at,
+      recoveryCodesLeft: JSON.parse(rows[0].recovery_codes || '[]').length
+    });
+  } catch (err) {
+    console.error('2FA status error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Start enrollment - the secret is kept in the session until a code confirms it
+app.post('/api/auth/2fa/setup', requireAuth, async (req, res) => {
+  try {
+    const [rows] = await db.query('SELECT totp_enabled_at FROM owners WHERE id = ?', [req.session.ownerId]);
+    if (rows[0].totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    const secret = base32Encode(crypto.randomBytes(20));
+    req.session.pendingTotpSecret = secret;
+    
+    const account = `${req.session.username}@${CONFIG.domain.split(':')[0]}`;
+    const otpauthUrl = `otpauth://totp/HomeBase:${encodeURIComponent(account)}?secret=${secret}&issuer=HomeBase`;
+    
+    res.json({
+      secret,
+      otpauthUrl,
+      qr: QRCode ? await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 200 }) : null
+    });
+  } catch (err) {
+    console.error('2FA setup error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Finish enrollment with a code from the app - returns the recovery codes, once
+app.post('/api/auth/2fa/enable', requireAuth, async (req, res) => {
+  const secret = req.session.pendingTotpSecret;
+  if (!secret) {
+    return res.status(400).json({ error: 'Start the setup first' });
+  }
+  
+  const step = verifyTotp(secret, req.body.code);
+  if (step === null) {
+    return res.status(400).json({ error: 'Invalid code - check the time on your device' });
+  }
+  
+  try {
+    const recovery = generateRecoveryCodes();
+    await db.query(
+      `UPDATE owners SET totp_secret = ?, totp_enabled_at = NOW(), totp_last_step = ?, recovery_codes = ?
+       WHERE id = ?`,
+      [secret, step, recovery.hashes, req.session.ownerId]
+    );
+    delete req.session.pendingTotpSecret;
+    
+    console.log(`Two-factor authentication enabled for ${req.session.username}`);
+    res.json({ success: true, recoveryCodes: recovery.codes });
+  } catch (err) {
+    console.error('2FA enable error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace the recovery codes (needs a current authenticator code)
+app.post('/api/auth/2fa/recovery-codes', requireAuth, async (req, res) => {
+  const { username } = req.session;
+  
+  const retryAfter = loginRetryAfter(username, req.ip);
+  if (retryAfter) {
+    return sendLoginLocked(res, retryAfter);
+  }
+  
+  try {
+    const [rows] = await db.query(
+      'SELECT id, totp_secret, totp_last_step, recovery_codes FROM owners WHERE id = ? AND totp_enabled_at IS NOT NULL',
+      [req.session.ownerId]
+    );
+    
+    if (rows.length === 0 || await verifySecondFactor(rows[0], { code: req.body.code }) !== 'totp') {
+      recordLoginFailure(username, req.ip);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+    
+    const recovery = generateRecoveryCodes();
+    await db.query('UPDATE owners SET recovery_codes = ? WHERE id = ?', [recovery.hashes, req.session.ownerId]);
+    
+    res.json({ success: true, recoveryCodes: recovery.codes });
+  } catch (err) {
+    console.error('Recovery codes error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Turn 2FA off - needs the password and an authenticator or recovery code
+app.post('/api/auth/2fa/disable', requireAuth, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  const { username } = req.session;
+  
+  const retryAfter = loginRetryAfter(username, req.ip);
+  if (retryAfter) {
+    return sendLoginLocked(res, retryAfter);
+  }
+  
+  try {
+    const [rows] = await db.query(
+      'SELECT id, password_hash, totp_secret, totp_last_step, recovery_codes FROM owners WHERE id = ? AND totp_enabled_at IS NOT NULL',
+      [req.session.ownerId]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    const validPassword = await bcrypt.compare(String(password || ''), rows[0].password_hash);
+    if (!validPassword || !await verifySecondFactor(rows[0], { code, recoveryCode })) {
+      recordLoginFailure(username, req.ip);
+      return res.status(401).json({ error: 'Password or code incorrect' });
+    }
+    
+    await db.query(
+      `UPDATE owners SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, recovery_codes = NULL
+       WHERE id = ?`,
+      [req.session.ownerId]
+    );
+    
+    console.log(`Two-factor authentication disabled for ${username}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('2FA disable error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Options for navigator.credentials.get() - any passkey registered for this site
+app.post('/api/auth/passkeys/login/options', (req, res) => {
+  res.json({
+    challenge: issueWebAuthnChallenge(req, 'login'),
+    rpId: CONFIG.webauthn.rpId,
+    timeout: 5 * 60 * 1000,
+    userVerification: 'required',
+    allowCredentials: []
+  });
+});
+
+// Passkey login - signs straight in, a verified passkey already counts as two factors
+app.post('/api/auth/passkeys/login', async (req, res) => {
+  const { credential } = req.body;
+  
+  const retryAfter = loginRetryAfter(null, req.ip);
+  if (retryAfter) {
+    return sendLoginLocked(res, retryAfter);
+  }
+  
+  const challenge = takeWebAuthnChallenge(req, 'login');
+  if (!challenge) {
+    return res.status(400).json({ error: 'Passkey request expired - try again' });
+  }
+  
+  if (!credential?.id || !credential.response) {
+    return res.status(400).json({ error: 'Passkey response required' });
+  }
+  
+  try {
+    const [rows] = await db.query(
+      `SELECT c.id, c.public_key, c.algorithm, c.sign_count, o.id as ownerId, o.username
+       FROM webauthn_credentials c
+       JOIN owners o ON o.id = c.owner_id
+       WHERE c.credential_id = ?`,
+      [credential.id]
+    );
+    
+    if (rows.length === 0) {
+      recordLoginFailure(null, req.ip);
+      return res.status(401).json({ error: 'This passkey is not registered - sign in with your password and add it from the dashboard' });
+    }
+    
+    const stored = rows[0];
+    let signCount;
+    try {
+      signCount = verifyPasskeyAssertion(credential, webauthnExpected(challenge), stored);
+    } catch (err) {
+      console.warn(`Passkey login rejected for ${stored.username}: ${err.message}`);
+      recordLoginFailure(null, req.ip);
+      return res.status(401).json({ error: 'Passkey could not be verified' });
+    }
+    
+    await db.query(
+      'UPDATE webauthn_credentials SET sign_count = ?, last_used_at = NOW() WHERE id = ?',
+      [signCount, stored.id]
+    );
+    
+    clearLoginFailures(stored.username, req.ip);
+    await completeOwnerLogin(req, { id: stored.ownerId, username: stored.username });
+    
+    res.json({ success: true, username: stored.username });
+  } catch (err) {
+    console.error('Passkey login error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Registered passkeys
+app.get('/api/auth/passkeys', requireAuth, async (req, res) => {
+  try {
+    const [passkeys] = await db.query(
+      `SELECT id, name, transports, created_at as createdAt, last_used_at as lastUsedAt
+       FROM webauthn_credentials WHERE owner_id = ? ORDER BY created_at ASC`,
+      [req.session.ownerId]
+    );
+    
+    res.json({ passkeys });
+  } catch (err) {
+    console.error('Get passkeys error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Options for navigator.credentials.create() - a discoverable credential so login needs no username
+// Body: password, and with 2FA on also code or recoveryCode
+app.post('/api/auth/passkeys/register/options', requireAuth, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  const { username } = req.session;
+  
+  const retryAfter = loginRetryAfter(username, req.ip);
+  if (retryAfter) {
+    return sendLoginLocked(res, retryAfter);
+  }
+  
+  try {
+    // A passkey signs in without password or 2FA code - a session alone can't add one
+    const [owners] = await db.query(
+      'SELECT id, password_hash, totp_enabled_at, totp_secret, totp_last_step, recovery_codes FROM owners WHERE id = ?',
+      [req.session.ownerId]
+    );
+    const owner = owners[0];
+    
+    const validPassword = owner && await bcrypt.compare(String(password || ''), owner.password_hash);
+    if (!validPassword || (owner.totp_enabled_at && !await verifySecondFactor(owner, { code, recoveryCode }))) {
+      recordLoginFailure(username, req.ip);
+      return res.status(401).json({ error: owner?.totp_enabled_at ? 'Password or code incorrect' : 'Password incorrect' });
+    }
+    
+    const [existing] = await db.query(
+      'SELECT credential_id, transports FROM webauthn_credentials WHERE owner_id = ?',
+      [req.session.ownerId]
+    );
+    
+    res.json({
+      challenge: issueWebAuthnChallenge(req, 'register'),
+      rp: { id: CONFIG.webauthn.rpId, name: 'HomeBase' },
+      user: {
+        id: Buffer.from(`owner-${req.session.ownerId}`).toString('base64url'),
+        name: req.session.username,
+        displayName: req.session.username
+      },
+      pubKeyCredParams: [-7, -8, -257].map(alg => ({ type: 'public-key', alg })),
+      timeout: 5 * 60 * 1000,
+      attestation: 'none',
+      authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+      excludeCredentials: existing.map(c => ({
+        type: 'public-key',
+        id: c.credential_id,
+        transports: c.transports ? c.transports.split(',') : undefined
+      }))
+    });
+  } catch (err) {
+    console.error('Passkey options error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Save a new passkey from navigator.credentials.create()
+app.post('/api/auth/passkeys', requireAuth, async (req, res) => {
+  const { credential } = req.body;
+  const name = String(req.body.name || '').trim().substring(0, 100) || 'Passkey';
+  
+  const challenge = takeWebAuthnChallenge(req, 'register');
+  if (!challenge) {
+    return res.status(400).json({ error: 'Passkey request expired - try again' });
+  }
+  
+  let passkey;
+  try {
+    passkey = verifyPasskeyRegistration(credential, webauthnExpected(challenge));
+  } catch (err) {
+    return res.status(400).json({ error: `Passkey could not be verified: ${err.message}` });
+  }
+  
+  try {
+    const transports = Array.isArray(credential.response.transports) ? credential.response.transports.join(',') : null;
+    const [result] = await db.query(
+      `INSERT INTO webauthn_credentials (owner_id, credential_id, public_key, algorithm, sign_count, transports, name)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [req.session.ownerId, passkey.credentialId, passkey.publicKey, passkey.algorithm, passkey.signCount, transports, name]
+    );
+    
+    console.log(`Passkey "${name}" registered for ${req.session.username}`);
+    res.json({ success: true, id: result.insertId });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'This passkey is already registered' });
+    }
+    console.error('Passkey register error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/auth/passkeys/:id', requireAuth, async (req, res) => {
+  try {
+    const [result] = await db.query(
+      'DELETE FROM webauthn_credentials WHERE id = ? AND owner_id = ?',
+      [req.params.id, req.session.ownerId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Passkey not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete passkey error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// =============================================================================
+// ROUTES - VISITOR/MESSAGING
+// =============================================================================
+
+const MESSAGE_PAGE_SIZE = 50;
+
+/**
+ * One page of messages matching `where`, oldest first. Cursors are message IDs:
+ * `before` pages back through history, `after` fetches what's newer (the
+ * reconnect sync); neither returns the latest page. `hasMore` says whether
+ * another page exists in the direction that was asked for.
+ */
+async function getMessagePage(where, params, query) {
+  const limit = Math.max(1, Math.min(parseInt(query.limit) || MESSAGE_PAGE_SIZE, 200));
+  const before = query.before !== undefined ? parseInt(query.before) : null;
+  const after = query.after !== undefined ? parseInt(query.after) : null;
+  
+  if (Number.isNaN(before) || Number.isNaN(after)) {
+    return { error: 'before/after must be message IDs' };
+  }
+  
+  let cursor = '';
+  if (before !== null) {
+    cursor = ' AND m.id < ?';
+    params = [...params, before];
+  } else if (after !== null) {
+    cursor = ' AND m.id > ?';
+    params = [...params, after];
+  }
+  
+  const [rows] = await db.query(
+    `SELECT m.id, m.sender_type as senderType, m.content, m.message_type as messageType,
+            m.is_read as isRead, m.read_at as readAt, m.created_at as createdAt,
+            m.call_log_id as callLogId,
+            a.filename, a.original_name as originalName, a.mime_type as mimeType
+     FROM messages m
+     LEFT JOIN attachments a ON a.message_id = m.id
+     ${where}${cursor}
+     ORDER BY m.id ${after !== null ? 'ASC' : 'DESC'}
+     LIMIT ?`,
+    [...params, limit + 1]
+  );
+  
+  const hasMore = rows.length > limit;
+  const messages = rows.slice(0, limit);
+  if (after === null) messages.reverse();
+  
+  return { messages, hasMore };
+}
+
+// Get or create visitor. An existing visitor is only resumed with a valid
+// token, which is rotated (revoked and reissued), or once by visitorId if it
+// predates tokens; otherwise a new visitor starts.
+app.post('/api/visitor/register', rateLimit('register'), async (req, res) => {
+  const { name, email, token } = req.body;
+  
+  try {
+    const current = await verifyVisitorToken(token);
+    if (current) {
+      // Update name if provided
+      if (name) {
+        await db.query('UPDATE visitors SET name = ? WHERE id = ?', [name, current.id]);
+      }
+      await revokeVisitorTokens(current.id, current.visitorId, current.tokenId);
+      const issued = await issueVisitorToken(current.id, current.visitorId);
+      return res.json({ visitorId: current.visitorId, id: current.id, ...issued });
+    }
+    
+    const legacy = !token && await claimLegacyVisitor(req.body.visitorId);
+    if (legacy) {
+      if (name) {
+        await db.query('UPDATE visitors SET name = ? WHERE id = ?', [name, legacy.id]);
+      }
+      const issued = await issueVisitorToken(legacy.id, req.body.visitorId);
+      return res.json({ visitorId: req.body.visitorId, id: legacy.id, ...issued });
+    }
+    
+    // Create new visitor
+    const visitorId = uuidv4();
+    const [result] = await db.query(
+      'INSERT INTO visitors (visitor_id, name, email) VALUES (?, ?, ?)',
+      [visitorId, name || 'Anonymous', email || null]
+    );
+    
+    // Create conversation for this visitor
+    await db.query(
+      'INSERT INTO conversations (visitor_id) VALUES (?)',
+      [result.insertId]
+    );
+    
+    const issued = await issueVisitorToken(result.insertId, visitorId);
+    res.json({ visitorId, id: result.insertId, ...issued });
+  } catch (err) {
+    console.error('Visitor registration error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send message (visitor)
+app.post('/api/messages/send', rateLimit('message', 'ip'), requireVisitor, rateLimit('message', 'visitor'), async (req, res) => {
+  const { visitorId, message, name } = req.body;
+  
+  if (!visitorId || !message) {
+    return res.status(400).json({ error: 'Visitor ID and message required' });
+  }
+  
+  const access = await checkVisitorAccess(visitorId, 'message');
+  if (!access.allowed) {
+    return res.status(403).json({ error: access.reason });
+  }
+  
+  try {
+    const payment = await requirePayment(visitorId, 'message', req.body.paymentHash, access);
+    if (payment.invoice) {
+      return res.status(402).json({ error: 'Payment required', invoice: payment.invoice });
+    }
+    
+    // Get visitor and conversation
+    const [visitors] = await db.query(
+      'SELECT v.id, c.id as conversation_id FROM visitors v ' +
+      'JOIN conversations c ON c.visitor_id = v.id ' +
+      'WHERE v.visitor_id = ?',
+      [visitorId]
+    );
+    
+    if (visitors.length === 0) {
+      return res.status(404).json({ error: 'Visitor not found' });
+    }
+    
+    const { id: visitorDbId, conversation_id } = visitors[0];
+    
+    // Save message - the invoice is only used up if it is saved
+    const messageId = await insertPaidMessage(payment, async conn => {
+      const [result] = await conn.query(
+        'INSERT INTO messages (conversation_id, sender_type, sender_id, content, message_type) VALUES (?, ?, ?, ?, ?)',
+        [conversation_id, 'visitor', visitorDbId, message, 'text']
+      );
+      return result.insertId;
+    });
+    if (!messageId) {
+      const invoice = await createPaymentInvoice(visitorId, 'message', getPaymentPrice('message'));
+      return res.status(402).json({ error: 'Payment already used', invoice });
+    }
+    
+    // Update conversation timestamp
+    await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = ?', [conversation_id]);
+    
+    const savedMessage = {
+      id: messageId,
+      conversationId: conversation_id,
+      senderType: 'visitor',
+      content: message,
+      messageType: 'text',
+      isRead: false,
+      createdAt: new Date().toISOString()
+    };
+    
+    // Notify owner via Socket.IO
+    io.to('owner-room').emit('new-message', {
+      ...savedMessage,
+      visitorId,
+      visitorName: name || 'Anonymous'
+    });
+    
+    // Push and email notifications - a flood still reaches the dashboard, not the owner's phone and inbox
+    if (!await checkRateLimit('notify', { visitorId })) {
+      await sendPushNotification(
+        '💬 New Message',
+        `${name || 'Someone'}: ${message.substring(0, 50)}...`,
+        { type: 'message', conversationId: conversation_id }
+      );
+      
+      await sendEmailNotification('message', { senderName: name || 'Anonymous', message });
+    }
+    
+    res.json({ success: true, message: savedMessage });
+  } catch (err) {
+    console.error('Send message error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get messages for visitor
+// Query: before or after (message ID cursors), limit
+app.get('/api/messages/:visitorId', requireVisitor, async (req, res) => {
+  const { visitorId } = req.params;
+  
+  try {
+    const page = await getMessagePage(
+      `JOIN conversations c ON c.id = m.conversation_id
+     JOIN visitors v ON v.id = c.visitor_id
+     WHERE v.visitor_id = ?`,
+      [visitorId],
+      req.query
+    );
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    
+    res.json(page);
+  } catch (err) {
+    console.error('Get messages error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Upload file (visitor)
+// The token and rate limits are checked before multer runs, so the visitor is the token's - not the form's
+app.post('/api/messages/upload', rateLimit('upload', 'ip'), requireVisitor, rateLimit('upload', 'visitor'), upload.single('file'), async (req, res) => {
+  const { name, messageType, callLogId } = req.body;
+  const { visitorId } = req.visitor;
+  
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  const access = await checkVisitorAccess(visitorId, 'upload');
+  if (!access.allowed) {
+    await unlink(req.file.path).catch(() => {});
+    return res.status(403).json({ error: access.reason });
+  }
+  
+  let messageId = null;
+  try {
+    // Voicemail follows a call that was already paid for
+    const payment = messageType === 'voicemail'
+      ? {}
+      : await requirePayment(visitorId, 'message', req.body.paymentHash, access);
+    if (payment.invoice) {
+      await unlink(req.file.path).catch(() => {});
+      return res.status(402).json({ error: 'Payment required', invoice: payment.invoice });
+    }
+    
+    // Get visitor and conversation
+    const [visitors] = await db.query(
+      'SELECT v.id, c.id as conversation_id FROM visitors v ' +
+      'JOIN conversations c ON c.visitor_id = v.id ' +
+      'WHERE v.visitor_id = ?',
+      [visitorId]
+    );
+    
+    if (visitors.length === 0) {
+      await unlink(req.file.path).catch(() => {});
+      return res.status(404).json({ error: 'Visitor not found' });
+    }
+    
+    const { id: visitorDbId, conversation_id } = visitors[0];
+    
+    // Voicemail must belong to one of this visitor's missed calls
+    let voicemailCallLogId = null;
+    if (messageType === 'voicemail') {
+      if (!CONFIG.calls.voicemailEnabled || !req.file.mimetype.startsWith('audio/')) {
+        await unlink(req.file.path).catch(() => {});
+        return res.status(400).json({ error: 'Voicemail not accepted' });
+      }
+      
+      const [calls] = await db.query(
+        `SELECT cl.id FROM call_logs cl
+         LEFT JOIN messages m ON m.call_log_id = cl.id
+         WHERE cl.id = ? AND cl.visitor_id = ? AND cl.status = 'missed' AND m.id IS NULL`,
+        [callLogId, visitorDbId]
+      );
+      
+      if (calls.length === 0) {
+        await unlink(req.file.path).catch(() => {});
+        return res.status(400).json({ error: 'No missed call to leave a voicemail for' });
+      }
+      
+      voicemailCallLogId = calls[0].id;
+    }
+    
+    // Determine message type and content
+    let msgType = messageType || 'file';
+    let messageContent;
+    
+    if (voicemailCallLogId) {
+      msgType = 'voicemail';
+      messageContent = '📞 Voicemail';
+    } else if (req.file.mimetype.startsWith('audio/')) {
+      msgType = 'voice';
+      messageContent = '🎤 Voice message';
+    } else if (req.file.mimetype.startsWith('image/')) {
+      msgType = 'image';
+      messageContent = '📷 Image';
+    } else {
+      msgType = 'file';
+      messageContent = `📎 ${req.file.originalname}`;
+    }
+    
+    // Message and attachment - the invoice is only used up if both are saved
+    messageId = await insertPaidMessage(payment, async conn => {
+      const [messageResult] = await conn.query(
+        'INSERT INTO messages (conversation_id, sender_type, sender_id, content, message_type, call_log_id) VALUES (?, ?, ?, ?, ?, ?)',
+        [conversation_id, 'visitor', visitorDbId, messageContent, msgType, voicemailCallLogId]
+      );
+      await conn.query(
+        'INSERT INTO attachments (message_id, filename, original_name, mime_type, size_bytes) VALUES (?, ?, ?, ?, ?)',
+        [messageResult.insertId, req.file.filename, req.file.originalname, req.file.mimetype, req.file.size]
+      );
+      return messageResult.insertId;
+    });
+    if (!messageId) {
+      await unlink(req.file.path).catch(() => {});
+      const invoice = await createPaymentInvoice(visitorId, 'message', getPaymentPrice('message'));
+      return res.status(402).json({ error: 'Payment already used', invoice });
+    }
+    
+    // Update conversation timestamp
+    await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = ?', [conversation_id]);
+    
+    const savedMessage = {
+      id: messageId,
+      conversationId: conversation_id,
+      senderType: 'visitor',
+      content: messageContent,
+      messageType: msgType,
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      callLogId: voicemailCallLogId,
+      isRead: false,
+      createdAt: new Date().toISOString()
+    };
+    
+    // Notify owner via Socket.IO
+    io.to('owner-room').emit('new-message', {
+      ...savedMessage,
+      visitorId,
+      visitorName: name || 'Anonymous'
+    });
+    
+    // Push and email notifications, rate limited per visitor like text messages
+    if (!await checkRateLimit('notify', { visitorId })) {
+      if (msgType === 'voicemail') {
+        await sendPushNotification(
+          '📞 New Voicemail',
+          `${name || 'Someone'} left you a voicemail`,
+          { type: 'voicemail', conversationId: conversation_id, callLogId: voicemailCallLogId }
+        );
+        await sendEmailNotification('voicemail', { callerName: name || 'Anonymous', filename: req.file.filename });
+      } else {
+        const notifTitle = msgType === 'voice' ? '🎤 Voice Message' : '📎 New File';
+        await sendPushNotification(
+          notifTitle,
+          `${name || 'Someone'} sent a ${msgType === 'voice' ? 'voice message' : 'file'}`,
+          { type: 'message', conversationId: conversation_id }
+        );
+      }
+    }
+    
+    res.json({ success: true, message: savedMessage });
+  } catch (err) {
+    console.error('File upload error:', err);
+    // Nothing refers to the file unless the message was saved
+    if (!messageId) await unlink(req.file.path).catch(() => {});
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// =============================================================================
+// ROUTES - OWNER (PROTECTED)
+// =============================================================================
+
+// Get all conversations
+app.get('/api/owner/conversations', requireAuth, async (req, res) => {
+  try {
+    const [conversations] = await db.query(
+      `SELECT 
+        c.id,
+        c.status,
+        c.updated_at as updatedAt,
+        v.visitor_id as visitorId,
+        v.name as visitorName,
+        v.email as visitorEmail,
+        v.phone as visitorPhone,
+        c.channel,
+        (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id AND m.is_read = FALSE AND m.sender_type = 'visitor') as unreadCount,
+        (SELECT content FROM messages m WHERE m.conversation_id = c.id ORDER BY m.created_at DESC LIMIT 1) as lastMessage
+       FROM conversations c
+       JOIN visitors v ON v.id = c.visitor_id
+       WHERE c.status = 'active'
+       ORDER BY c.updated_at DESC`
+    );
+    
+    // Every verified wallet per visitor, primary first
+    const [wallets] = await db.query(
+      `SELECT v.visitor_id as visitorId, w.id, w.wallet_address as address, w.wallet_chain as chain,
+              w.nip05, w.verified_at as verifiedAt, w.is_primary as isPrimary
+       FROM visitor_wallets w
+       JOIN visitors v ON v.id = w.visitor_id
+       ORDER BY w.is_primary DESC, w.verified_at ASC`
+    );
+    
+    const walletsByVisitor = {};
+    for (const { visitorId, ...wallet } of wallets) {
+      (walletsByVisitor[visitorId] ||= []).push({ ...wallet, isPrimary: !!wallet.isPrimary });
+    }
+    conversations.forEach(conv => { conv.wallets = walletsByVisitor[conv.visitorId] || []; });
+    
+    res.json({ conversations });
+  } catch (err) {
+    console.error('Get conversations error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a conversation
+app.delete('/api/owner/conversations/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    // Delete messages first (foreign key constraint)
+    await db.execute('DELETE FROM messages WHERE conversation_id = ?', [id]);
+    // Delete the conversation
+    await db.execute('DELETE FROM conversations WHERE id = ?', [id]);
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete conversation error:', err);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+// Clear all conversations
+app.delete('/api/owner/conversations', requireAuth, async (req, res) => {
+  try {
+    await db.execute('DELETE FROM messages');
+    await db.execute('DELETE FROM call_logs');
+    await db.execute('DELETE FROM conversations');
+    await db.execute('DELETE FROM visitors');
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Clear all error:', err);
+    res.status(500).json({ error: 'Failed to clear conversations' });
+  }
+});
+
+// Revoke every token a visitor holds - their browsers must register again
+// (or restore through a linked wallet) to keep chatting
+app.post('/api/owner/visitors/:visitorId/revoke', requireAuth, async (req, res) => {
+  const { visitorId } = req.params;
+  
+  try {
+    const [rows] = await db.query('SELECT id FROM visitors WHERE visitor_id = ?', [visitorId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Visitor not found' });
+    }
+    
+    await revokeVisitorTokens(rows[0].id, visitorId);
+    console.log(`Visitor ${visitorId} tokens revoked`);
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Revoke visitor error:', err);
+    res.status(500).json({ error: 'Failed to revoke visitor' });
+  }
+});
+
+// Get conversation messages
+// Query: before or after (message ID cursors), limit
+app.get('/api/owner/conversations/:id/messages', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    // Get visitor ID for this conversation
+    const [convInfo] = await db.query(
+      'SELECT v.visitor_id as visitorId FROM conversations c JOIN visitors v ON v.id = c.visitor_id WHERE c.id = ?',
+      [id]
+    );
+    
+    const page = await getMessagePage('WHERE m.conversation_id = ?', [id], req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    
+    // Opening the conversation reads all of it, not just the loaded page
+    const [unread] = await db.query(
+      `SELECT id FROM messages
+       WHERE conversation_id = ? AND sender_type = 'visitor' AND is_read = FALSE`,
+      [id]
+    );
+    const unreadIds = unread.map(m => m.id);
+    
+    // Mark messages as read
+    if (unreadIds.length > 0) {
+      await db.query(
+        `UPDATE messages SET is_read = TRUE, read_at = NOW() 
+         WHERE conversation_id = ? AND sender_type = 'visitor' AND is_read = FALSE`,
+        [id]
+      );
+      
+      // Emit read receipt to visitor
+      if (convInfo.length > 0) {
+        io.to(`visitor-${convInfo[0].visitorId}`).emit('messages-read', {
+          messageIds: unreadIds,
+          readAt: new Date().toISOString()
+        });
+      }
+    }
+    
+    res.json(page);
+  } catch (err) {
+    console.error('Get conversation messages error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// InnoDB's default innodb_ft_min_token_size - shorter words are never indexed
+const FULLTEXT_MIN_WORD = 3;
+
+// What the owner typed -> FULLTEXT boolean query: every word required, prefix-matched.
+// Empty when no word is long enough to be indexed - search then falls back to LIKE.
+function toFulltextQuery(text) {
+  return text
+    .replace(/[+\-<>()~*"@]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length >= FULLTEXT_MIN_WORD)
+    .map(word => `+${word}*`)
+    .join(' ');
+}
+
+// Search messages, attachments, visitors, wallets and calls
+// Query: q, limit (per section, max 50)
+app.get('/api/owner/search', requireAuth, async (req, res) => {
+  // ?q=a&q=b parses to an array
+  if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+    return res.status(400).json({ error: 'Search for a single query' });
+  }
+  
+  const q = (req.query.q || '').trim();
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 20, 50));
+  
+  if (q.length < 2) {
+    return res.status(400).json({ error: 'Search for at least 2 characters' });
+  }
+  
+  const fulltext = toFulltextQuery(q);
+  const like = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+  
+  // FULLTEXT on `columns` when a word is long enough to be indexed, else LIKE on `column`
+  const textMatch = (columns, column) => fulltext ? `MATCH(${columns}) AGAINST(? IN BOOLEAN MODE)` : `${column} LIKE ?`;
+  const text = fulltext || like;
+  
+  try {
+    const [[messages], [attachments], [visitors], [wallets], [calls]] = await Promise.all([
+      db.query(
+        `SELECT m.id as messageId, m.conversation_id as conversationId, m.sender_type as senderType,
+                m.content, m.message_type as messageType, m.created_at as createdAt,
+                v.name as visitorName
+         FROM messages m
+         JOIN conversations c ON c.id = m.conversation_id
+         JOIN visitors v ON v.id = c.visitor_id
+         WHERE c.status = 'active' AND ${textMatch('m.content', 'm.content')}
+         ORDER BY ${fulltext ? 'MATCH(m.content) AGAINST(? IN BOOLEAN MODE) DESC, ' : ''}m.id DESC
+         LIMIT ?`,
+        [text, ...(fulltext ? [fulltext] : []), limit]
+      ),
+      
+      db.query(
+        `SELECT m.id as messageId, m.conversation_id as conversationId, a.original_name as originalName,
+                a.mime_type as mimeType, a.filename, a.created_at as createdAt, v.name as visitorName
+         FROM attachments a
+         JOIN messages m ON m.id = a.message_id
+         JOIN conversations c ON c.id = m.conversation_id
+         JOIN visitors v ON v.id = c.visitor_id
+         WHERE c.status = 'active' AND ${textMatch('a.original_name', 'a.original_name')}
+         ORDER BY a.created_at DESC
+         LIMIT ?`,
+        [text, limit]
+      ),
+      
+      db.query(
+        `SELECT c.id as conversationId, v.name as visitorName, v.email, v.phone, v.last_seen as lastSeen
+         FROM visitors v
+         JOIN conversations c ON c.visitor_id = v.id
+         WHERE c.status = 'active'
+           AND (${textMatch('v.name, v.email', 'v.name')} OR v.email LIKE ? OR v.phone LIKE ?)
+         ORDER BY v.last_seen DESC
+         LIMIT ?`,
+        [text, like, like, limit]
+      ),
+      
+      db.query(
+        `SELECT c.id as conversationId, v.name as visitorName, w.wallet_address as address,
+                w.wallet_chain as chain, w.nip05
+         FROM visitor_wallets w
+         JOIN visitors v ON v.id = w.visitor_id
+         JOIN conversations c ON c.visitor_id = v.id
+         WHERE c.status = 'active' AND (w.wallet_address LIKE ? OR w.nip05 LIKE ?)
+         ORDER BY w.verified_at DESC
+         LIMIT ?`,
+        [like, like, limit]
+      ),
+      
+      // Calls jump to their voicemail, when there is one
+      db.query(
+        `SELECT cl.id, c.id as conversationId, cl.caller_name as callerName, v.phone,
+                cl.call_type as callType, cl.direction, cl.status, cl.started_at as startedAt,
+                (SELECT MIN(vm.id) FROM messages vm WHERE vm.call_log_id = cl.id) as messageId
+         FROM call_logs cl
+         JOIN visitors v ON v.id = cl.visitor_id
+         JOIN conversations c ON c.visitor_id = v.id
+         WHERE c.status = 'active'
+           AND (${textMatch('cl.caller_name', 'cl.caller_name')} OR v.phone LIKE ?)
+         ORDER BY cl.started_at DESC
+         LIMIT ?`,
+        [text, like, limit]
+      )
+    ]);
+    
+    res.json({ query: q, messages, attachments, visitors, wallets, calls });
+  } catch (err) {
+    console.error('Search error:', err);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Send message (owner)
+app.post('/api/owner/messages/send', requireAuth, async (req, res) => {
+  const { conversationId, message } = req.body;
+  
+  if (!conversationId || !message) {
+    return res.status(400).json({ error: 'Conversation ID and message required' });
+  }
+  
+  try {
+    // Get visitor info
+    const [convos] = await db.query(
+      `SELECT c.id, c.channel, v.visitor_id as visitorId, v.phone
+       FROM conversations c
+       JOIN visitors v ON v.id = c.visitor_id
+       WHERE c.id = ?`,
+      [conversationId]
+    );
+    
+    if (convos.length === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    // SMS conversations are delivered through Twilio before the message is saved
+    let externalId = null;
+    if (convos[0].channel === 'sms') {
+      try {
+        externalId = await sendSms(convos[0].phone, message);
+      } catch (err) {
+        console.error('SMS send error:', err.message);
+        return res.status(502).json({ error: `SMS not sent: ${err.message}` });
+      }
+    }
+    
+    // Save message
+    const [result] = await db.query(
+      'INSERT INTO messages (conversation_id, sender_type, sender_id, content, is_read, external_id) VALUES (?, ?, ?, ?, TRUE, ?)',
+      [conversationId, 'owner', req.session.ownerId, message, externalId]
+    );
+    
+    // Update conversation timestamp
+    await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = ?', [conversationId]);
+    
+    const savedMessage = {
+      id: result.insertId,
+      conversationId,
+      senderType: 'owner',
+      content: message,
+      createdAt: new Date().toISOString()
+    };
+    
+    // Notify visitor via Socket.IO
+    io.to(`visitor-${convos[0].visitorId}`).emit('new-message', savedMessage);
+    
+    res.json({ success: true, message: savedMessage });
+  } catch (err) {
+    console.error('Owner send message error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Upload file (owner)
+app.post('/api/owner/messages/upload', requireAuth, upload.single('file'), async (req, res) => {
+  const { conversationId, messageType } = req.body;
+  
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  if (!conversationId) {
+    return res.status(400).json({ error: 'Conversation ID required' });
+  }
+  
+  try {
+    // Get visitor info
+    const [convos] = await db.query(
+      `SELECT c.id, c.channel, v.visitor_id as visitorId, v.phone
+       FROM conversations c
+       JOIN visitors v ON v.id = c.visitor_id
+       WHERE c.id = ?`,
+      [conversationId]
+    );
+    
+    if (convos.length === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    // SMS conversations get the file as MMS (Twilio fetches it from our public URL)
+    let externalId = null;
+    if (convos[0].channel === 'sms') {
+      try {
+        externalId = await sendSms(convos[0].phone, '', [`https://${CONFIG.domain}/uploads/${req.file.filename}`]);
+      } catch (err) {
+        console.error('MMS send error:', err.message);
+        return res.status(502).json({ error: `MMS not sent: ${err.message}` });
+      }
+    }
+    
+    // Determine message type and content
+    let msgType = messageType || 'file';
+    let messageContent;
+    
+    if (req.file.mimetype.startsWith('audio/')) {
+      msgType = 'voice';
+      messageContent = '🎤 Voice message';
+    } else if (req.file.mimetype.startsWith('image/')) {
+      msgType = 'image';
+      messageContent = '📷 Image';
+    } else {
+      msgType = 'file';
+      messageContent = `📎 ${req.file.originalname}`;
+    }
+    
+    const [messageResult] = await db.query(
+      'INSERT INTO messages (conversation_id, sender_type, sender_id, content, message_type, is_read, external_id) VALUES (?, ?, ?, ?, ?, TRUE, ?)',
+      [conversationId, 'owner', req.session.ownerId, messageContent, msgType, externalId]
+    );
+    
+    // Save attachment
+    await db.query(
+      'INSERT INTO attachments (message_id, filename, original_name, mime_type, size_bytes) VALUES (?, ?, ?, ?, ?)',
+      [messageResult.insertId, req.file.filename, req.file.originalname, req.file.mimetype, req.file.size]
+    );
+    
+    // Update conversation timestamp
+    await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = ?', [conversationId]);
+    
+    const savedMessage = {
+      id: messageResult.insertId,
+      conversationId,
+      senderType: 'owner',
+      content: messageContent,
+      messageType: msgType,
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      createdAt: new Date().toISOString()
+    };
+    
+    // Notify visitor via Socket.IO
+    io.to(`visitor-${convos[0].visitorId}`).emit('new-message', savedMessage);
+    
+    res.json({ success: true, message: savedMessage });
+  } catch (err) {
+    console.error('Owner file upload error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Call history
+// Query: visitorId, status, from, to (ISO dates), limit, offset
+app.get('/api/owner/calls', requireAuth, async (req, res) => {
+  const { visitorId, status, from, to } = req.query;
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 50, 200));
+  const offset = Math.max(0, parseInt(req.query.offset) || 0);
+
+  const validStatuses = ['ringing', 'missed', 'answered', 'declined', 'failed'];
+  if (status && !validStatuses.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Use: ${validStatuses.join(', ')}` });
+  }
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: 'Invalid date range' });
+  }
+
+  const where = [];
+  const params = [];
+
+  if (visitorId) {
+    where.push('v.visitor_id = ?');
+    params.push(visitorId);
+  }
+  if (status) {
+    where.push('cl.status = ?');
+    params.push(status);
+  }
+  if (from) {
+    where.push('cl.started_at >= ?');
+    params.push(new Date(from));
+  }
+  if (to) {
+    where.push('cl.started_at <= ?');
+    params.push(new Date(to));
+  }
+
+  const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  try {
+    const [calls] = await db.query(
+      `SELECT
+        cl.id,
+        cl.room_id as roomId,
+        cl.caller_name as callerName,
+        cl.call_type as callType,
+        cl.source,
+        cl.direction,
+        cl.status,
+        cl.duration_seconds as durationSeconds,
+        cl.started_at as startedAt,
+        cl.answered_at as answeredAt,
+        cl.ended_at as endedAt,
+        cl.end_reason as endReason,
+        v.visitor_id as visitorId,
+        v.name as visitorName,
+        c.id as conversationId,
+        p.amount_sats as paidSats
+       FROM call_logs cl
+       JOIN visitors v ON v.id = cl.visitor_id
+       LEFT JOIN conversations c ON c.visitor_id = v.id
+       LEFT JOIN payments p ON p.call_log_id = cl.id
+       ${whereClause}
+       ORDER BY cl.started_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const [[{ total }]] = await db.query(
+      `SELECT COUNT(*) as total
+       FROM call_logs cl
+       JOIN visitors v ON v.id = cl.visitor_id
+       ${whereClause}`,
+      params
+    );
+
+    res.json({ calls, total, limit, offset });
+  } catch (err) {
+    console.error('Get calls error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Push subscription
+app.post('/api/owner/subscribe', requireAuth, async (req, res) => {
+  const subscription = req.body;
+  
+  try {
+    await db.query(
+      `INSERT INTO push_subscriptions (endpoint, p256dh, auth, owner_id) 
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE p256dh = VALUES(p256dh), auth = VALUES(auth)`,
+      [subscription.endpoint, subscription.keys.p256dh, subscription.keys.auth, req.session.ownerId]
+    );
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Subscribe error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// =============================================================================
+// CALLING CONFIG API
+// =============================================================================
+
+// Get calling options
+app.get('/api/calling/config', requireAuth, (req, res) => {
+  res.json({
+    twilioEnabled: !!twilioClient && !!process.env.TWILIO_PHONE_NUMBER,
+    sipEnabled: !!CONFIG.sip.server && !!CONFIG.sip.username,
+    sipServer: CONFIG.sip.server || null,
+  });
+});
+
+// =============================================================================
+// SIP API
+// =============================================================================
+
+// SIP credentials for the dashboard's user agent (owner only, never cached)
+app.get('/api/sip/credentials', requireAuth, (req, res) => {
+  const credentials = sipCredentials(CONFIG.sip, req.session.username);
+  if (!credentials) {
+    return res.status(404).json({ error: 'SIP not configured' });
+  }
+  
+  res.set('Cache-Control', 'no-store');
+  res.json(credentials);
+});
+
+// =============================================================================
+// TWILIO API
+// =============================================================================
+
+/**
+ * Reject webhook requests that weren't signed by Twilio. The signature covers
+ * the public URL Twilio called, so DOMAIN must match the configured webhook host.
+ */
+function validateTwilioRequest(req, res, next) {
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    return res.status(503).json({ error: 'Twilio not configured' });
+  }
+  
+  const signature = req.get('X-Twilio-Signature');
+  const url = `https://${CONFIG.domain}${req.originalUrl}`;
+  const params = req.method === 'POST' ? req.body : {};
+  
+  if (!signature || !twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, params)) {
+    console.warn(`Rejected Twilio webhook with invalid signature: ${req.method} ${req.originalUrl} from ${req.ip}`);
+    return res.status(403).json({ error: 'Invalid Twilio signature' });
+  }
+  
+  next();
+}
+
+// Twilio call statuses mapped to call_logs statuses
+const TWILIO_FINAL_STATUSES = {
+  'completed': 'answered',
+  'busy': 'declined',
+  'no-answer': 'missed',
+  'canceled': 'missed',
+  'failed': 'failed'
+};
+
+// Make outbound call
+app.post('/api/twilio/call', requireAuth, async (req, res) => {
+  if (!twilioClient) {
+    return res.status(500).json({ error: 'Twilio not configured' });
+  }
+  
+  const { to } = req.body;
+  if (!to) {
+    return res.status(400).json({ error: 'Phone number required' });
+  }
+  
+  try {
+    // Format number
+    let formattedNumber = to.replace(/[^0-9+]/g, '');
+    if (!formattedNumber.startsWith('+')) {
+      formattedNumber = '+1' + formattedNumber; // Default to US
+    }
+    
+    // Log the call before dialing so an early status callback always finds the
+    // row - it gets the CallSid as soon as Twilio returns one
+    const callLog = { isVideoCall: false, source: 'twilio', direction: 'outbound' };
+    if (db) {
+      try {
+        const visitor = await findOrCreatePhoneVisitor(formattedNumber);
+        callLog.visitorId = visitor.visitorId;
+        callLog.callerName = visitor.name || formattedNumber;
+        await startCallLog(`twilio-pending-${crypto.randomUUID()}`, callLog);
+      } catch (err) {
+        console.error('Outbound call log error:', err);
+      }
+    }
+    
+    let call;
+    try {
+      call = await twilioClient.calls.create({
+        to: formattedNumber,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        url: `https://${process.env.DOMAIN}/api/twilio/voice`,
+        statusCallback: `https://${process.env.DOMAIN}/api/twilio/status`,
+        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+        statusCallbackMethod: 'POST'
+      });
+    } catch (err) {
+      await finishCallLog(callLog, 'twilio-error', 'failed');
+      throw err;
+    }
+    
+    if (callLog.callLogId) {
+      try {
+        await db.query('UPDATE call_logs SET room_id = ? WHERE id = ?', [call.sid, callLog.callLogId]);
+      } catch (err) {
+        console.error('Outbound call log error:', err.message);
+      }
+    }
+    
+    console.log('Twilio call initiated:', call.sid);
+    res.json({ success: true, callSid: call.sid });
+  } catch (err) {
+    console.error('Twilio error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Hang up an outbound call (ringing or in progress) placed from the dial pad
+app.post('/api/twilio/call/:sid/hangup', requireAuth, async (req, res) => {
+  if (!twilioClient) {
+    return res.status(500).json({ error: 'Twilio not configured' });
+  }
+  
+  const { sid } = req.params;
+  if (!/^CA[0-9a-f]{32}$/i.test(sid)) {
+    return res.status(400).json({ error: 'Invalid call SID' });
+  }
+  
+  try {
+    // The status callback closes out the call log
+    await twilioClient.calls(sid).update({ status: 'completed' });
+    console.log('Twilio call hung up:', sid);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Twilio hangup error:', err.message);
+    res.status(err.status === 404 ? 404 : 500).json({ error: err.message });
+  }
+});
+
+// Status callback for outbound calls - keeps call_logs and the dial pad in sync
+app.post('/api/twilio/status', validateTwilioRequest, async (req, res) => {
+  const { CallSid: callSid, CallStatus: callStatus, CallDuration: callDuration } = req.body;
+  
+  res.status(204).end();
+  
+  if (callStatus === 'in-progress' && db) {
+    try {
+      await db.query(
+        `UPDATE call_logs SET status = 'answered', answered_at = NOW()
+         WHERE room_id = ? AND answered_at IS NULL AND ended_at IS NULL`,
+        [callSid]
+      );
+    } catch (err) {
+      console.error('Twilio call log error:', err.message);
+    }
+  } else if (TWILIO_FINAL_STATUSES[callStatus]) {
+    await finishTwilioCallLog(callSid, TWILIO_FINAL_STATUSES[callStatus], callDuration, callStatus);
+  }
+  
+  io.to('owner-room').emit('twilio-call-status', {
+    callSid,
+    status: callStatus,
+    duration: parseInt(callDuration) || 0
+  });
+});
+
+// TwiML voice response (outbound leg - bridges the callee to the dashboard)
+// GET or POST, whichever the number's voice webhook is configured with
+app.all('/api/twilio/voice', validateTwilioRequest, (req, res) => {
+  const VoiceResponse = twilio.twiml.VoiceResponse;
+  const response = new VoiceResponse();
+  
+  response.say('Connecting you now.');
+  const client = response.dial().client();
+  client.identity('owner');
+  client.parameter({ name: 'direction', value: 'outbound' });
+  
+  res.type('text/xml');
+  res.send(response.toString());
+});
+
+// =============================================================================
+// TWILIO INBOUND CALLS
+// =============================================================================
+
+// Find or create the visitor + conversation for a phone number (replies go out as SMS)
+async function findOrCreatePhoneVisitor(phone) {
+  const [existing] = await db.query(
+    `SELECT v.id, v.visitor_id as visitorId, v.name, c.id as conversationId
+     FROM visitors v
+     LEFT JOIN conversations c ON c.visitor_id = v.id
+     WHERE v.phone = ?`,
+    [phone]
+  );
+  
+  if (existing.length > 0) {
+    const visitor = existing[0];
+    if (!visitor.conversationId) {
+      const [conv] = await db.query("INSERT INTO conversations (visitor_id, channel) VALUES (?, 'sms')", [visitor.id]);
+      visitor.conversationId = conv.insertId;
+    }
+    return visitor;
+  }
+  
+  const visitorId = uuidv4();
+  const [result] = await db.query(
+    'INSERT INTO visitors (visitor_id, name, phone) VALUES (?, ?, ?)',
+    [visitorId, phone, phone]
+  );
+  const [conv] = await db.query("INSERT INTO conversations (visitor_id, channel) VALUES (?, 'sms')", [result.insertId]);
+  
+  return { id: result.insertId, visitorId, name: phone, conversationId: conv.insertId };
+}
+
+// Close out the call log of a Twilio call (room_id holds the CallSid)
+async function finishTwilioCallLog(callSid, status, durationSeconds, reason) {
+  if (!db || !callSid) return;
+  
+  const duration = parseInt(durationSeconds) || 0;
+  
+  try {
+    await db.query(
+      `UPDATE call_logs
+       SET status = ?, duration_seconds = ?, end_reason = ?, ended_at = NOW(),
+           answered_at = IF(? > 0, NOW() - INTERVAL ? SECOND, answered_at)
+       WHERE room_id = ? AND ended_at IS NULL`,
+      [status, duration, reason, duration, duration, callSid]
+    );
+  } catch (err) {
+    console.error('Twilio call log error:', err.message);
+  }
+}
+
+// Someone called the Twilio number - ring the dashboard's Twilio Device
+// Configure as the number's "A call comes in" webhook
+app.post('/api/twilio/incoming', validateTwilioRequest, async (req, res) => {
+  const VoiceResponse = twilio.twiml.VoiceResponse;
+  const response = new VoiceResponse();
+  const { From: from, CallSid: callSid } = req.body;
+  
+  let callerName = from || 'Unknown caller';
+  
+  if (db && from) {
+    try {
+      const visitor = await findOrCreatePhoneVisitor(from);
+      callerName = visitor.name || from;
+      
+      await startCallLog(callSid, {
+        visitorId: visitor.visitorId,
+        callerName,
+        isVideoCall: false,
+        source: 'twilio'
+      });
+    } catch (err) {
+      console.error('Inbound call lookup error:', err);
+    }
+  }
+  
+  console.log(`Inbound phone call from ${from} (${callSid})`);
+  
+  const dial = response.dial({
+    timeout: CONFIG.calls.ringTimeoutSeconds,
+    action: '/api/twilio/incoming/complete',
+    method: 'POST'
+  });
+  const client = dial.client();
+  client.identity('owner');
+  client.parameter({ name: 'direction', value: 'inbound' });
+  client.parameter({ name: 'callerName', value: callerName });
+  client.parameter({ name: 'callerNumber', value: from || '' });
+  
+  res.type('text/xml');
+  res.send(response.toString());
+  
+  sendPushNotification('☎️ Incoming Phone Call', `${callerName} is calling`, { type: 'call', callSid });
+  sendEmailNotification('call', { callerName });
+});
+
+// <Dial> finished - log the result and fall back to voicemail if unanswered
+app.post('/api/twilio/incoming/complete', validateTwilioRequest, async (req, res) => {
+  const VoiceResponse = twilio.twiml.VoiceResponse;
+  const response = new VoiceResponse();
+  const { CallSid: callSid, DialCallStatus: dialStatus, DialCallDuration: dialDuration } = req.body;
+  
+  if (dialStatus === 'completed') {
+    await finishTwilioCallLog(callSid, 'answered', dialDuration, 'completed');
+    response.hangup();
+  } else {
+    await finishTwilioCallLog(callSid, dialStatus === 'busy' ? 'declined' : 'missed', 0, dialStatus || 'no-answer');
+    
+    if (CONFIG.calls.voicemailEnabled) {
+      response.say('Sorry, nobody is available to take your call. Please leave a message after the beep.');
+      response.record({
+        maxLength: CONFIG.calls.voicemailMaxSeconds,
+        playBeep: true,
+        action: '/api/twilio/hangup',
+        recordingStatusCallback: '/api/twilio/voicemail',
+        recordingStatusCallbackEvent: 'completed'
+      });
+    } else {
+      response.say('Sorry, nobody is available to take your call. Please try again later.');
+    }
+    response.hangup();
+  }
+  
+  res.type('text/xml');
+  res.send(response.toString());
+});
+
+app.post('/api/twilio/hangup', validateTwilioRequest, (req, res) => {
+  const response = new twilio.twiml.VoiceResponse();
+  response.hangup();
+  res.type('text/xml');
+  res.send(response.toString());
+});
+
+// Recordings and MMS media require account credentials to download
+async function downloadTwilioMedia(url) {
+  const auth = Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+  const response = await fetch(url, {
+    headers: { Authorization: `Basic ${auth}` }
+  });
   
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+  if (!response.ok) {
+    throw new Error(`Twilio media download failed: ${response.status}`);
   }
   
-  if (!conversationId) {
-    return res.status(400).json({ error: 'Conversation ID required' });
-  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Recording finished - store it as a voicemail message in the caller's conversation
+app.post('/api/twilio/voicemail', validateTwilioRequest, async (req, res) => {
+  const { CallSid: callSid, RecordingUrl: recordingUrl, RecordingStatus: recordingStatus } = req.body;
+  
+  // Acknowledge right away, Twilio does not need to wait for the download
+  res.sendStatus(204);
+  
+  if (!db || !recordingUrl || (recordingStatus && recordingStatus !== 'completed')) return;
   
   try {
-    // Get visitor info
-    const [convos] = await db.query(
-      `SELECT c.id, v.visitor_id as visitorId
-       FROM conversations c
-       JOIN visitors v ON v.id = c.visitor_id
-       WHERE c.id = ?`,
-      [conversationId]
+    const [calls] = await db.query(
+      `SELECT cl.id, cl.visitor_id, cl.caller_name, v.visitor_id as visitorId, c.id as conversationId
+       FROM call_logs cl
+       JOIN visitors v ON v.id = cl.visitor_id
+       JOIN conversations c ON c.visitor_id = v.id
+       WHERE cl.room_id = ?`,
+      [callSid]
     );
     
-    if (convos.length === 0) {
-      return res.status(404).json({ error: 'Conversation not found' });
-    }
-    
-    // Determine message type and content
-    let msgType = messageType || 'file';
-    let messageContent;
+    if (calls.length === 0) return;
+    const call = calls[0];
     
-    if (req.file.mimetype.startsWith('audio/')) {
-      msgType = 'voice';
-      messageContent = '🎤 Voice message';
-    } else if (req.file.mimetype.startsWith('image/')) {
-      msgType = 'image';
-      messageContent = '📷 Image';
-    } else {
-      msgType = 'file';
-      messageContent = `📎 ${req.file.originalname}`;
-    }
+    const audio = await downloadTwilioMedia(`${recordingUrl}.mp3`);
+    const filename = `${Date.now()}-${uuidv4()}.mp3`;
+    await writeFile(join(uploadDir, filename), audio);
     
+    const messageContent = '📞 Voicemail';
     const [messageResult] = await db.query(
-      'INSERT INTO messages (conversation_id, sender_type, sender_id, content, message_type, is_read) VALUES (?, ?, ?, ?, ?, TRUE)',
-      [conversationId, 'owner', req.session.ownerId, messageContent, msgType]
+      'INSERT INTO messages (conversation_id, sender_type, sender_id, content, message_type, call_log_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [call.conversationId, 'visitor', call.visitor_id, messageContent, 'voicemail', call.id]
     );
     
-    // Save attachment
     await db.query(
       'INSERT INTO attachments (message_id, filename, original_name, mime_type, size_bytes) VALUES (?, ?, ?, ?, ?)',
-      [messageResult.insertId, req.file.filename, req.file.originalname, req.file.mimetype, req.file.size]
+      [messageResult.insertId, filename, `voicemail-${callSid}.mp3`, 'audio/mpeg', audio.length]
     );
     
-    // Update conversation timestamp
-    await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = ?', [conversationId]);
+    await db.query('UPDATE conversations SET updated_at = NOW() WHERE id = ?', [call.conversationId]);
     
-    const savedMessage = {
+    io.to('owner-room').emit('new-message', {
       id: messageResult.insertId,
-      conversationId,
-      senderType: 'owner',
+      conversationId: call.conversationId,
+      senderType: 'visitor',
       content: messageContent,
-      messageType: msgType,
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      mimeType: req.file.mimetype,
-      createdAt: new Date().toISOString()
-    };
-    
-    // Notify visitor via Socket.IO
-    io.to(`visitor-${convos[0].visitorId}`).emit('new-message', savedMessage);
+      messageType: 'voicemail',
+      filename,
+      originalName: `voicemail-${callSid}.mp3`,
+      mimeType: 'audio/mpeg',
+      callLogId: call.id,
+      isRead: false,
+      createdAt: new Date().toISOString(),
+      visitorId: call.visitorId,
+      visitorName: call.caller_name
+    });
     
-    res.json({ success: true, message: savedMessage });
-  } catch (err) {
-    console.error('Owner file upload error:', err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Push subscription
-app.post('/api/owner/subscribe', requireAuth, async (req, res) => {
-  const subscription = req.body;
-  
-  try {
-    await db.query(
-      `INSERT INTO push_subscriptions (endpoint, p256dh, auth, owner_id) 
-       VALUES (?, ?, ?, ?)
-       ON DUPLICATE KEY UPDATE p256dh = VALUES(p256dh), auth = VALUES(auth)`,
-      [subscription.endpoint, subscription.keys.p256dh, subscription.keys.auth, req.session.ownerId]
+    await sendPushNotification(
+      '📞 New Voicemail',
+      `${call.caller_name} left you a voicemail`,
+      { type: 'voicemail', conversationId: call.conversationId, callLogId: call.id }
     );
-    
-    res.json({ success: true });
+    await sendEmailNotification('voicemail', { callerName: call.caller_name, filename });
   } catch (err) {
-    console.error('Subscribe error:', err);
-    res.status(500).json({ error: 'Server error' });
+    console.error('Twilio voicemail error:', err);
   }
 });
 
 // =============================================================================
-// CALLING CONFIG API
-// =============================================================================
-
-// Get calling options
-app.get('/api/calling/config', requireAuth, (req, res) => {
-  res.json({
-    twilioEnabled: !!twilioClient && !!process.env.TWILIO_PHONE_NUMBER,
-    sipEnabled: !!process.env.SIP_SERVER && !!process.env.SIP_USERNAME,
-    sipServer: process.env.SIP_SERVER || null,
-  });
-});
-
-// =============================================================================
-// TWILIO API
+// TWILIO SMS
 // =============================================================================
 
-// Make outbound call
-app.post('/api/twilio/call', requireAuth, async (req, res) => {
+// Send an SMS/MMS from the Twilio number, returns the MessageSid
+async function sendSms(to, body, mediaUrl = []) {
   if (!twilioClient) {
-    return res.status(500).json({ error: 'Twilio not configured' });
+    throw new Error('Twilio not configured');
   }
-  
-  const { to } = req.body;
   if (!to) {
-    return res.status(400).json({ error: 'Phone number required' });
+    throw new Error('Conversation has no phone number');
   }
   
+  const sms = await twilioClient.messages.create({
+    to,
+    from: process.env.TWILIO_PHONE_NUMBER,
+    body: body || undefined,
+    mediaUrl: mediaUrl.length > 0 ? mediaUrl : undefined
+  });
+  
+  console.log('SMS sent:', sms.sid);
+  return sms.sid;
+}
+
+const MMS_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'audio/mpeg': '.mp3',
+  'text/vcard': '.vcf',
+  'application/pdf': '.pdf'
+};
+
+// Someone texted the Twilio number - add it to the conversation for that number
+// Configure as the number's "A message comes in" webhook
+app.post('/api/twilio/sms', validateTwilioRequest, async (req, res) => {
+  const { From: from, Body: body, MessageSid: messageSid } = req.body;
+  const numMedia = parseInt(req.body.NumMedia) || 0;
+  
+  // Empty TwiML - replies come from the dashboard
+  res.type('text/xml');
+  res.send(new twilio.twiml.MessagingResponse().toString());
+  
+  if (!db || !from) return;
+  
   try {
-    // Format number
-    let formattedNumber = to.replace(/[^0-9+]/g, '');
-    if (!formattedNumber.startsWith('+')) {
-      formattedNumber = '+1' + formattedNumber; // Default to US
-    }
+    // Twilio retries webhooks - ignore messages we already stored
+    const [seen] = await db.query('SELECT id FROM messages WHERE external_id = ? LIMIT 1', [messageSid]);
+    if (seen.length > 0) return;
     
-    const call = await twilioClient.calls.create({
-      to: formattedNumber,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      url: `https://${process.env.DOMAIN}/api/twilio/voice`,
+    const visitor = await findOrCreatePhoneVisitor(from);
+    await db.query(
+      "UPDATE conversations SET channel = 'sms', status = 'active', updated_at = NOW() WHERE id = ?",
+      [visitor.conversationId]
+    );
+    
+    const notify = (savedMessage) => io.to('owner-room').emit('new-message', {
+      ...savedMessage,
+      conversationId: visitor.conversationId,
+      senderType: 'visitor',
+      isRead: false,
+      createdAt: new Date().toISOString(),
+      visitorId: visitor.visitorId,
+      visitorName: visitor.name || from
     });
     
-    console.log('Twilio call initiated:', call.sid);
-    res.json({ success: true, callSid: call.sid });
+    if (body && body.trim()) {
+      const [result] = await db.query(
+        'INSERT INTO messages (conversation_id, sender_type, sender_id, content, message_type, external_id) VALUES (?, ?, ?, ?, ?, ?)',
+        [visitor.conversationId, 'visitor', visitor.id, body, 'text', messageSid]
+      );
+      notify({ id: result.insertId, content: body, messageType: 'text' });
+    }
+    
+    // MMS media goes through the regular attachments table. Each item stands on
+    // its own - one failed download doesn't lose the others.
+    for (let i = 0; i < numMedia; i++) {
+      const mediaUrl = req.body[`MediaUrl${i}`];
+      const mimeType = req.body[`MediaContentType${i}`] || 'application/octet-stream';
+      if (!mediaUrl) continue;
+      
+      const ext = MMS_EXTENSIONS[mimeType] || '';
+      const filename = `${Date.now()}-${uuidv4()}${ext}`;
+      const originalName = `mms-${messageSid}-${i}${ext}`;
+      let written = false;
+      let messageId = null;
+      
+      try {
+        const media = await downloadTwilioMedia(mediaUrl);
+        await writeFile(join(uploadDir, filename), media);
+        written = true;
+        
+        const msgType = mimeType.startsWith('image/') ? 'image' : 'file';
+        const messageContent = msgType === 'image' ? '📷 Image' : `📎 ${originalName}`;
+        
+        const [result] = await db.query(
+          'INSERT INTO messages (conversation_id, sender_type, sender_id, content, message_type, external_id) VALUES (?, ?, ?, ?, ?, ?)',
+          [visitor.conversationId, 'visitor', visitor.id, messageContent, msgType, messageSid]
+        );
+        messageId = result.insertId;
+        await db.query(
+          'INSERT INTO attachments (message_id, filename, original_name, mime_type, size_bytes) VALUES (?, ?, ?, ?, ?)',
+          [messageId, filename, originalName, mimeType, media.length]
+        );
+        
+        notify({ id: messageId, content: messageContent, messageType: msgType, filename, originalName, mimeType });
+      } catch (err) {
+        console.error(`Inbound MMS media ${i} error (${messageSid}):`, err.message);
+        if (messageId) await db.query('DELETE FROM messages WHERE id = ?', [messageId]).catch(() => {});
+        if (written) await unlink(join(uploadDir, filename)).catch(() => {});
+      }
+    }
+    
+    const preview = body || (numMedia > 0 ? '📷 Media' : '');
+    await sendPushNotification(
+      '💬 New SMS',
+      `${visitor.name || from}: ${preview.substring(0, 50)}`,
+      { type: 'message', conversationId: visitor.conversationId }
+    );
+    await sendEmailNotification('message', { senderName: visitor.name || from, message: preview });
   } catch (err) {
-    console.error('Twilio error:', err.message);
-    res.status(500).json({ error: err.message });
+    console.error('Inbound SMS error:', err);
   }
 });
 
-// TwiML voice response
-app.all('/api/twilio/voice', (req, res) => {
-  const VoiceResponse = twilio.twiml.VoiceResponse;
-  const response = new VoiceResponse();
-  
-  response.say('Connecting you now.');
-  response.dial().client('owner');
-  
-  res.type('text/xml');
-  res.send(response.toString());
-});
-
 // Twilio token for browser calling
 app.get('/api/twilio/token', requireAuth, (req, res) => {
   if (!process.env.TWILIO_API_KEY || !process.env.TWILIO_API_SECRET) {
@@ -1717,10 +4360,86 @@ app.get('/api/health', async (req, res) => {
     status: 'ok',
     database: dbStatus,
     pushNotifications: CONFIG.vapid.publicKey ? 'configured' : 'not configured',
-    emailNotifications: CONFIG.email.enabled ? 'configured' : 'not configured'
+    emailNotifications: CONFIG.email.enabled ? 'configured' : 'not configured',
+    rateLimits: !CONFIG.rateLimit.enabled ? 'disabled'
+      : rateLimitStore === RATE_LIMIT_STORES.redis ? (redisClient?.isReady ? 'redis' : 'redis (disconnected - not enforced)')
+      : 'memory',
+    walletVerifiers: {
+      strict: CONFIG.wallet.strictVerification,
+      available: Object.entries(getAvailableVerifiers())
+        .filter(([, available]) => available)
+        .map(([chain]) => chain)
+    }
   });
 });
 
+// =============================================================================
+// CALL LOGS
+// =============================================================================
+
+// Create the call_logs row when a call starts ringing
+async function startCallLog(roomId, room) {
+  if (!db || !room.visitorId) return;
+
+  try {
+    const [visitors] = await db.query(
+      'SELECT id FROM visitors WHERE visitor_id = ?',
+      [room.visitorId]
+    );
+
+    if (visitors.length === 0) return;
+
+    const [result] = await db.query(
+      `INSERT INTO call_logs (visitor_id, caller_name, room_id, call_type, source, direction, status)
+       VALUES (?, ?, ?, ?, ?, ?, 'ringing')`,
+      [visitors[0].id, room.callerName || 'Anonymous', roomId, room.isVideoCall ? 'video' : 'voice', room.source || 'webrtc', room.direction || 'inbound']
+    );
+
+    room.callLogId = result.insertId;
+  } catch (err) {
+    console.error('Call log create error:', err.message);
+  }
+}
+
+// Owner picked up - duration is measured from here
+async function markCallAnswered(room) {
+  if (!db || !room.callLogId) return;
+
+  try {
+    await db.query(
+      `UPDATE call_logs SET status = 'answered', answered_at = NOW() WHERE id = ?`,
+      [room.callLogId]
+    );
+  } catch (err) {
+    console.error('Call log answer error:', err.message);
+  }
+}
+
+/**
+ * Close out a call log. If no status is given it is derived from the room:
+ * failed connections stay 'failed', answered calls stay 'answered',
+ * anything that never got picked up is 'missed'.
+ */
+async function finishCallLog(room, reason, status = null) {
+  if (!db || !room.callLogId) return;
+
+  const finalStatus = status
+    || (room.status === 'failed' ? 'failed' : null)
+    || (room.answeredAt ? 'answered' : 'missed');
+
+  try {
+    await db.query(
+      `UPDATE call_logs
+       SET status = ?, ended_at = NOW(), end_reason = ?,
+           duration_seconds = IF(answered_at IS NULL, 0, TIMESTAMPDIFF(SECOND, answered_at, NOW()))
+       WHERE id = ? AND ended_at IS NULL`,
+      [finalStatus, reason, room.callLogId]
+    );
+  } catch (err) {
+    console.error('Call log finish error:', err.message);
+  }
+}
+
 // =============================================================================
 // SOCKET.IO
 // =============================================================================
@@ -1729,12 +4448,60 @@ app.get('/api/health', async (req, res) => {
 const rooms = new Map();
 const ownerSockets = new Set();
 
+// Room states in which WebRTC offers, answers and ICE candidates are relayed
+const SIGNALING_STATES = ['connecting'];
+
+/**
+ * Call events only count from the room's own sockets - the caller and the
+ * owner socket that answered - and, when a target is named, only towards the
+ * other one. Returns the room, or null after logging why the event was dropped.
+ */
+function authorizeRoomEvent(socket, event, { roomId, targetId } = {}, states = null) {
+  const room = rooms.get(roomId);
+  const participants = room ? [room.caller, room.owner].filter(Boolean) : [];
+  
+  let reason = null;
+  if (!room) {
+    reason = 'unknown room';
+  } else if (!participants.includes(socket.id)) {
+    reason = 'not a participant';
+  } else if (targetId !== undefined && (targetId === socket.id || !participants.includes(targetId))) {
+    reason = `target ${targetId} is not the other participant`;
+  } else if (states && !states.includes(room.status)) {
+    reason = `room is ${room.status}`;
+  }
+  
+  if (reason) {
+    console.warn(`Rejected ${event} from ${socket.id} (${socket.isOwner ? 'owner' : socket.visitorId || 'anonymous'}) for room ${roomId}: ${reason}`);
+    return null;
+  }
+  return room;
+}
+
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
   const session = socket.request.session;
   
-  // Visitor joins their room
-  socket.on('join-visitor-room', (visitorId) => {
+  // Visitor joins their room - only with a valid visitor token
+  socket.on('join-visitor-room', async (data) => {
+    let visitor = null;
+    try {
+      visitor = db ? await verifyVisitorToken(data?.token) : null;
+    } catch (err) {
+      console.error('Visitor token error:', err);
+    }
+    
+    if (!visitor) {
+      socket.emit('visitor-token-invalid');
+      return;
+    }
+    
+    const { visitorId } = visitor;
+    
+    // A restored visitor switches identity - stop receiving the old room's events
+    if (socket.visitorId && socket.visitorId !== visitorId) {
+      socket.leave(`visitor-${socket.visitorId}`);
+    }
     socket.join(`visitor-${visitorId}`);
     socket.visitorId = visitorId;
     console.log(`Visitor ${visitorId} joined their room`);
@@ -1756,41 +4523,116 @@ io.on('connection', (socket) => {
   // =========== CALLING ===========
   
   socket.on('initiate-call', async (data) => {
-    const { callerName, visitorId, isVideoCall } = data;
+    const { callerName, isVideoCall } = data;
+    const { visitorId } = socket;
+    
+    if (!visitorId) {
+      socket.emit('call-rejected', { reason: 'Your session has expired - reload the page and try again' });
+      return;
+    }
+    
+    const limited = await checkRateLimit('call', { ip: socketIp(socket), visitorId });
+    if (limited) {
+      socket.emit('call-rejected', {
+        reason: `Too many call attempts - try again in ${limited.retryAfter}s`,
+        rateLimited: true,
+        retryAfter: limited.retryAfter
+      });
+      return;
+    }
+    
+    const access = await checkVisitorAccess(visitorId, isVideoCall ? 'video' : 'voice');
+    if (!access.allowed) {
+      console.log(`Call from ${callerName} rejected: ${access.reason}`);
+      socket.emit('call-rejected', { reason: access.reason });
+      return;
+    }
+    
+    // Paid calls don't ring until the invoice is settled - the visitor retries with its paymentHash
+    let payment;
+    try {
+      payment = await requirePayment(visitorId, 'call', data.paymentHash, access);
+      // Calls use the invoice up as they start ringing
+      if (payment.paymentId && !await claimPayment(payment.paymentId)) {
+        payment = { invoice: await createPaymentInvoice(visitorId, 'call', getPaymentPrice('call')) };
+      }
+    } catch (err) {
+      console.error('Call payment error:', err);
+      socket.emit('call-rejected', { reason: 'Payments are unavailable right now - please try again later' });
+      return;
+    }
+    if (payment.invoice) {
+      socket.emit('payment-required', { purpose: 'call', invoice: payment.invoice });
+      return;
+    }
+    
     const roomId = `call-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
-    rooms.set(roomId, {
+    const room = {
       caller: socket.id,
       callerName,
       visitorId,
       isVideoCall: isVideoCall || false,
+      priority: access.priority,
+      paidSats: payment.amountSats || 0,
       owner: null,
       status: 'ringing',
       createdAt: Date.now()
-    });
+    };
+    rooms.set(roomId, room);
     
     socket.join(roomId);
     socket.roomId = roomId;
     
     console.log(`${isVideoCall ? 'Video' : 'Voice'} call initiated by ${callerName} in room ${roomId}`);
     
+    await startCallLog(roomId, room);
+    
+    if (payment.paymentId && room.callLogId) {
+      try {
+        await db.query('UPDATE payments SET call_log_id = ? WHERE id = ?', [room.callLogId, payment.paymentId]);
+      } catch (err) {
+        console.error('Call payment link error:', err.message);
+      }
+    }
+    
     // Notify owner with video flag
     io.to('owner-room').emit('incoming-call', {
       roomId,
       callerName,
       callerId: socket.id,
       visitorId,
-      isVideoCall: isVideoCall || false
+      isVideoCall: isVideoCall || false,
+      priority: access.priority,
+      paidSats: room.paidSats
     });
     
     await sendPushNotification(
-      isVideoCall ? '📹 Incoming Video Call' : '📞 Incoming Call', 
+      (access.priority === 'high' ? '⭐ ' : '') + (isVideoCall ? '📹 Incoming Video Call' : '📞 Incoming Call'), 
       `${callerName} is calling`, 
       { type: 'call', roomId }
     );
     await sendEmailNotification('call', { callerName });
     
     socket.emit('call-initiated', { roomId, status: 'ringing' });
+    
+    // Stop ringing after the configured timeout and offer voicemail instead
+    room.ringTimer = setTimeout(async () => {
+      if (rooms.get(roomId) !== room || room.status !== 'ringing') return;
+      
+      console.log(`Call in room ${roomId} unanswered after ${CONFIG.calls.ringTimeoutSeconds}s`);
+      
+      rooms.delete(roomId);
+      io.to('owner-room').emit('call-cancelled', { roomId, reason: 'no-answer' });
+      await finishCallLog(room, 'no-answer', 'missed');
+      
+      io.to(room.caller).emit('call-unanswered', {
+        roomId,
+        callLogId: room.callLogId || null,
+        voicemail: CONFIG.calls.voicemailEnabled && !!room.callLogId,
+        maxSeconds: CONFIG.calls.voicemailMaxSeconds
+      });
+    }, CONFIG.calls.ringTimeoutSeconds * 1000);
   });
   
   socket.on('answer-call', (data) => {
@@ -1802,13 +4644,22 @@ io.on('connection', (socket) => {
       return;
     }
     
+    if (!socket.isOwner || room.status !== 'ringing') {
+      console.warn(`Rejected answer-call from ${socket.id} for room ${roomId}: ${socket.isOwner ? `room is ${room.status}` : 'not the owner'}`);
+      return;
+    }
+    
+    clearTimeout(room.ringTimer);
     room.owner = socket.id;
     room.status = 'connecting';
+    room.answeredAt = Date.now();
     socket.join(roomId);
     socket.roomId = roomId;
     
     console.log(`Owner answering call in room ${roomId}`);
     
+    markCallAnswered(room);
+    
     io.to(room.caller).emit('call-answered', { roomId });
     socket.emit('create-offer', { roomId, targetId: room.caller });
   });
@@ -1817,18 +4668,22 @@ io.on('connection', (socket) => {
     const { roomId } = data;
     const room = rooms.get(roomId);
     
-    if (room) {
+    if (room && !socket.isOwner) {
+      console.warn(`Rejected decline-call from ${socket.id} for room ${roomId}: not the owner`);
+    } else if (room) {
       io.to(room.caller).emit('call-declined', { roomId });
+      finishCallLog(room, 'declined', 'declined');
       rooms.delete(roomId);
     }
   });
   
   socket.on('cancel-call', (data) => {
     const { roomId } = data;
-    const room = rooms.get(roomId);
+    const room = authorizeRoomEvent(socket, 'cancel-call', { roomId });
     
     if (room) {
       io.to('owner-room').emit('call-cancelled', { roomId });
+      finishCallLog(room, 'cancelled');
       rooms.delete(roomId);
     }
   });
@@ -1836,28 +4691,44 @@ io.on('connection', (socket) => {
   // WebRTC Signaling
   socket.on('offer', (data) => {
     const { roomId, offer, targetId } = data;
+    if (!authorizeRoomEvent(socket, 'offer', { roomId, targetId: targetId ?? null }, SIGNALING_STATES)) return;
+    
     console.log(`Offer from ${socket.id} to ${targetId}`);
     io.to(targetId).emit('offer', { offer, roomId, senderId: socket.id });
   });
   
   socket.on('answer', (data) => {
     const { roomId, answer, targetId } = data;
+    if (!authorizeRoomEvent(socket, 'answer', { roomId, targetId: targetId ?? null }, SIGNALING_STATES)) return;
+    
     console.log(`Answer from ${socket.id} to ${targetId}`);
     io.to(targetId).emit('answer', { answer, roomId, senderId: socket.id });
   });
   
   socket.on('ice-candidate', (data) => {
     const { roomId, candidate, targetId } = data;
+    if (!authorizeRoomEvent(socket, 'ice-candidate', { roomId, targetId: targetId ?? null }, SIGNALING_STATES)) return;
+    
     console.log(`ICE candidate from ${socket.id} to ${targetId}`);
     io.to(targetId).emit('ice-candidate', { candidate, roomId, senderId: socket.id });
   });
   
+  // Peer connection could not be established - remembered so the log says 'failed'
+  socket.on('call-failed', (data) => {
+    const room = authorizeRoomEvent(socket, 'call-failed', { roomId: data.roomId }, SIGNALING_STATES);
+    
+    if (room) {
+      room.status = 'failed';
+    }
+  });
+  
   socket.on('end-call', (data) => {
     const { roomId } = data;
-    const room = rooms.get(roomId);
+    const room = authorizeRoomEvent(socket, 'end-call', { roomId });
     
     if (room) {
       io.to(roomId).emit('call-ended', { roomId });
+      finishCallLog(room, socket.isOwner ? 'owner-hangup' : 'visitor-hangup');
       rooms.delete(roomId);
     }
   });
@@ -1865,12 +4736,13 @@ io.on('connection', (socket) => {
   // =========== MESSAGING ===========
   
   socket.on('typing', async (data) => {
-    const { conversationId, visitorId, isTyping } = data;
+    const { conversationId, isTyping } = data;
     
-    if (socket.isOwner && visitorId) {
+    if (socket.isOwner && data.visitorId) {
       // Owner typing to visitor
-      io.to(`visitor-${visitorId}`).emit('owner-typing', { isTyping });
-    } else if (visitorId) {
+      io.to(`visitor-${data.visitorId}`).emit('owner-typing', { isTyping });
+    } else if (socket.visitorId) {
+      const { visitorId } = socket;
       // Visitor typing to owner - look up conversation ID if not provided
       let convId = conversationId;
       if (!convId && db) {
@@ -1899,6 +4771,7 @@ io.on('connection', (socket) => {
       const room = rooms.get(socket.roomId);
       if (room) {
         io.to(socket.roomId).emit('call-ended', { roomId: socket.roomId, reason: 'peer-disconnected' });
+        finishCallLog(room, 'peer-disconnected');
         rooms.delete(socket.roomId);
       }
     }
@@ -1916,10 +4789,28 @@ setInterval(() => {
   for (const [roomId, room] of rooms.entries()) {
     if (now - room.createdAt > maxAge) {
       io.to(roomId).emit('call-ended', { roomId, reason: 'timeout' });
+      finishCallLog(room, 'timeout');
       rooms.delete(roomId);
       console.log(`Cleaned up stale room: ${roomId}`);
     }
   }
+  
+  // Expired or used wallet challenges are no longer needed
+  if (db) {
+    db.query('DELETE FROM wallet_challenges WHERE expires_at < NOW() - INTERVAL 1 HOUR')
+      .catch(err => console.error('Wallet challenge cleanup error:', err.message));
+    db.query('DELETE FROM visitor_tokens WHERE expires_at < NOW() - INTERVAL 1 DAY OR revoked_at < NOW() - INTERVAL 1 DAY')
+      .catch(err => console.error('Visitor token cleanup error:', err.message));
+  }
+  
+  // Login failures outside the window no longer count
+  for (const [key, entry] of loginFailures.entries()) {
+    if (entry.lockedUntil <= now && now - entry.lastFailureAt > CONFIG.login.failureWindowMinutes * 60 * 1000) {
+      loginFailures.delete(key);
+    }
+  }
+  
+  RATE_LIMIT_STORES.memory.sweep(now);
 }, 5 * 60 * 1000);
 
 // =============================================================================
@@ -1928,6 +4819,7 @@ setInterval(() => {
 
 async function start() {
   const dbConnected = await initDatabase();
+  await connectRateLimitStore();
   
   server.listen(CONFIG.port, () => {
     console.log(`
@@ -0,0 +1,63 @@
+/**
+ * Access rule tests
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decideAccess, unlinkRefusal } from '../lib/access-rules.js';
+
+const OPEN = { unverifiedTextOnly: false, videoRequiresWallet: false, allowlistOnlyCalls: false, verifiedPriority: false };
+
+const wallet = (list_type = null) => ({ wallet_address: 'bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l', list_type });
+
+describe('Access rules', () => {
+  it('lets anyone do anything with every rule off', () => {
+    for (const action of ['voice', 'video', 'message', 'upload']) {
+      assert.deepEqual(decideAccess(OPEN, [], action), { allowed: true, priority: 'normal' });
+    }
+  });
+
+  it('refuses a visitor with any deny-listed wallet', () => {
+    const result = decideAccess(OPEN, [wallet(), wallet('deny')], 'message');
+    assert.equal(result.allowed, false);
+  });
+
+  it('lets allow-listed wallets past every other rule at high priority', () => {
+    const rules = { ...OPEN, allowlistOnlyCalls: true, unverifiedTextOnly: true };
+    assert.deepEqual(decideAccess(rules, [wallet('allow')], 'video'), { allowed: true, priority: 'high', allowListed: true });
+  });
+
+  it('keeps unverified visitors to text', () => {
+    const rules = { ...OPEN, unverifiedTextOnly: true };
+    assert.equal(decideAccess(rules, [], 'message').allowed, true);
+    assert.equal(decideAccess(rules, [], 'voice').allowed, false);
+    assert.equal(decideAccess(rules, [], 'upload').allowed, false);
+    assert.equal(decideAccess(rules, [wallet()], 'voice').allowed, true);
+  });
+
+  it('requires a wallet for video and the allow list for calls when set', () => {
+    assert.equal(decideAccess({ ...OPEN, videoRequiresWallet: true }, [], 'video').allowed, false);
+    assert.equal(decideAccess({ ...OPEN, videoRequiresWallet: true }, [], 'voice').allowed, true);
+    assert.equal(decideAccess({ ...OPEN, allowlistOnlyCalls: true }, [wallet()], 'voice').allowed, false);
+    assert.equal(decideAccess({ ...OPEN, allowlistOnlyCalls: true }, [wallet()], 'message').allowed, true);
+  });
+
+  it('gives verified visitors priority when the rule is on', () => {
+    assert.equal(decideAccess({ ...OPEN, verifiedPriority: true }, [wallet()], 'voice').priority, 'high');
+    assert.equal(decideAccess(OPEN, [wallet()], 'voice').priority, 'normal');
+  });
+
+  it('refuses to unlink a deny-listed wallet so the block stays in place', () => {
+    const blocked = wallet('deny');
+    assert.ok(unlinkRefusal(blocked));
+    // Had it been unlinked, the remaining wallets would have been let through
+    assert.equal(decideAccess(OPEN, [wallet()], 'voice').allowed, true);
+    assert.equal(decideAccess(OPEN, [wallet(), blocked], 'voice').allowed, false);
+  });
+
+  it('lets other wallets be unlinked', () => {
+    assert.equal(unlinkRefusal(wallet()), null);
+    assert.equal(unlinkRefusal(wallet('allow')), null);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * NIP-05 lookup tests
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPrivateAddress, publicOnlyLookup, fetchPublicJson, createNip05Resolvers, resolveNip05 } from '../lib/nip05.js';
+
+const PUBKEY = '3bf0c63fcb93463407af97a5e5ee64fa883d107ef9e558472c4eb9aaaefa459d';
+const OTHER_PUBKEY = '32e1827635450ebb3c5a7d12c1f8e7b2b514439ac10a67eef3d9fd9c5c68e245';
+
+describe('Private network guard', () => {
+  it('flags loopback, private, link-local and mapped addresses', () => {
+    for (const [address, family] of [
+      ['127.0.0.1', 4], ['10.1.2.3', 4], ['172.16.0.1', 4], ['192.168.1.1', 4], ['169.254.169.254', 4],
+      ['100.64.0.1', 4], ['0.0.0.0', 4], ['::1', 6], ['::', 6], ['fc00::1', 6], ['fe80::1', 6], ['::ffff:127.0.0.1', 6]
+    ]) {
+      assert.equal(isPrivateAddress(address, family), true, address);
+    }
+  });
+
+  it('lets public addresses through', () => {
+    for (const [address, family] of [['93.184.216.34', 4], ['172.32.0.1', 4], ['2606:4700::1111', 6], ['::ffff:8.8.8.8', 6]]) {
+      assert.equal(isPrivateAddress(address, family), false, address);
+    }
+  });
+
+  it('refuses hostnames that resolve to loopback', async () => {
+    const err = await new Promise(resolve => publicOnlyLookup('localhost', {}, resolve));
+    assert.match(err.message, /private address/);
+  });
+
+  it('never fetches from loopback or private hosts', async () => {
+    for (const url of ['https://localhost/.well-known/nostr.json', 'https://127.0.0.1/', 'https://[::1]/', 'https://0x7f000001/', 'https://10.0.0.1/']) {
+      await assert.rejects(fetchPublicJson(url, { timeoutMs: 1000 }), /private address/, url);
+    }
+  });
+});
+
+describe('NIP-05 resolution', () => {
+  const resolvers = createNip05Resolvers({ stub: { 'alice@example.com': PUBKEY } });
+
+  it('matches an identifier that points at the key', async () => {
+    assert.deepEqual(await resolveNip05(resolvers.stub, 'alice@example.com', PUBKEY), { nip05: 'alice@example.com' });
+  });
+
+  it('matches case-insensitively and without surrounding spaces', async () => {
+    assert.deepEqual(await resolveNip05(resolvers.stub, '  Alice@Example.COM ', PUBKEY), { nip05: 'alice@example.com' });
+    const upper = createNip05Resolvers({ stub: { 'alice@example.com': PUBKEY.toUpperCase() } });
+    assert.deepEqual(await resolveNip05(upper.stub, 'alice@example.com', PUBKEY), { nip05: 'alice@example.com' });
+  });
+
+  it('refuses an identifier that points at another key or nowhere', async () => {
+    assert.match((await resolveNip05(resolvers.stub, 'alice@example.com', OTHER_PUBKEY)).error, /does not point to this key/);
+    assert.match((await resolveNip05(resolvers.stub, 'bob@example.com', PUBKEY)).error, /does not point to this key/);
+  });
+
+  it('refuses malformed identifiers and IP literal domains', async () => {
+    for (const identifier of ['alice', 'alice@', '@example.com', 'alice@localhost', 'alice@127.0.0.1', 'a b@example.com']) {
+      assert.match((await resolveNip05(resolvers.stub, identifier, PUBKEY)).error, /look like name@example.com/, identifier);
+    }
+  });
+
+  it('reports when lookups are off', async () => {
+    assert.match((await resolveNip05(undefined, 'alice@example.com', PUBKEY)).error, /disabled/);
+  });
+
+  it('asks the domain\'s well-known document for the name', async () => {
+    const urls = [];
+    const { 'well-known': wellKnown } = createNip05Resolvers({
+      fetchJson: async (url) => {
+        urls.push(url);
+        return { names: { alice: PUBKEY, bob: OTHER_PUBKEY } };
+      }
+    });
+    assert.deepEqual(await resolveNip05(wellKnown, 'alice@example.com', PUBKEY), { nip05: 'alice@example.com' });
+    assert.match((await resolveNip05(wellKnown, 'carol@example.com', PUBKEY)).error, /does not point to this key/);
+    assert.deepEqual(urls, [
+      'https://example.com/.well-known/nostr.json?name=alice',
+      'https://example.com/.well-known/nostr.json?name=carol'
+    ]);
+  });
+
+  it('reports a failed lookup as an error', async () => {
+    const failing = createNip05Resolvers({ fetchJson: async () => { throw new Error('example.com timed out'); } });
+    assert.match((await resolveNip05(failing['well-known'], 'alice@example.com', PUBKEY)).error, /lookup failed: example.com timed out/);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Payment tests - the stub Lightning backend and single-use invoices
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStubBackend, paymentCovers } from '../lib/payments.js';
+
+describe('Stub Lightning backend', () => {
+  it('creates unpaid invoices', async () => {
+    const stub = createStubBackend();
+    const { paymentHash, bolt11 } = await stub.createInvoice({ amountSats: 21, memo: 'test', expirySeconds: 60 });
+
+    assert.match(paymentHash, /^[0-9a-f]{64}$/);
+    assert.ok(bolt11.startsWith('lnbcrt210n1stub'));
+    assert.deepEqual(await stub.checkInvoice(paymentHash), { settled: false });
+
+    const other = await stub.createInvoice({ amountSats: 21 });
+    assert.notEqual(other.paymentHash, paymentHash);
+  });
+
+  it('settles only the invoice that was paid', async () => {
+    const stub = createStubBackend();
+    const paid = await stub.createInvoice({ amountSats: 100 });
+    const unpaid = await stub.createInvoice({ amountSats: 100 });
+
+    assert.equal(stub.settle(paid.paymentHash), true);
+    assert.deepEqual(await stub.checkInvoice(paid.paymentHash), { settled: true });
+    assert.deepEqual(await stub.checkInvoice(unpaid.paymentHash), { settled: false });
+  });
+
+  it('knows nothing of invoices it did not issue', async () => {
+    const stub = createStubBackend();
+    assert.equal(stub.settle('00'.repeat(32)), false);
+    assert.deepEqual(await stub.checkInvoice('00'.repeat(32)), { settled: false });
+  });
+});
+
+describe('Single-use invoices', () => {
+  const payment = { visitorId: 'visitor-1', purpose: 'message', consumed_at: null };
+
+  it('pays for the visitor and purpose it was issued for', () => {
+    assert.equal(paymentCovers(payment, 'visitor-1', 'message'), true);
+    assert.equal(paymentCovers(payment, 'visitor-2', 'message'), false);
+    assert.equal(paymentCovers(payment, 'visitor-1', 'call'), false);
+    assert.equal(paymentCovers(null, 'visitor-1', 'message'), false);
+  });
+
+  it('pays only once', async () => {
+    const stub = createStubBackend();
+    const { paymentHash } = await stub.createInvoice({ amountSats: 10 });
+    stub.settle(paymentHash);
+
+    const row = { ...payment, payment_hash: paymentHash };
+    assert.equal(paymentCovers(row, 'visitor-1', 'message'), true);
+
+    // Claiming sets consumed_at - the settled invoice then buys nothing more
+    row.consumed_at = new Date();
+    assert.deepEqual(await stub.checkInvoice(paymentHash), { settled: true });
+    assert.equal(paymentCovers(row, 'visitor-1', 'message'), false);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Rate limit tests
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { takeToken, createMemoryStore } from '../lib/rate-limit.js';
+
+const LIMIT = { capacity: 3, perMinute: 6 }; // one token every 10 seconds
+const NOW = Date.UTC(2026, 0, 1);
+
+describe('Token bucket', () => {
+  it('starts full and allows a burst up to capacity', () => {
+    let bucket;
+    for (let i = 0; i < LIMIT.capacity; i++) {
+      const result = takeToken(bucket, LIMIT, NOW);
+      assert.equal(result.allowed, true);
+      bucket = result.bucket;
+    }
+    const blocked = takeToken(bucket, LIMIT, NOW);
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.retryAfter, 10);
+  });
+
+  it('refills at the configured rate', () => {
+    const empty = { tokens: 0, updatedAt: NOW };
+    assert.equal(takeToken(empty, LIMIT, NOW + 5000).allowed, false);
+    assert.equal(takeToken(empty, LIMIT, NOW + 5000).retryAfter, 5);
+    assert.equal(takeToken(empty, LIMIT, NOW + 10000).allowed, true);
+  });
+
+  it('never refills past capacity', () => {
+    const result = takeToken({ tokens: 0, updatedAt: NOW }, LIMIT, NOW + 60 * 60 * 1000);
+    assert.equal(result.bucket.tokens, LIMIT.capacity - 1);
+  });
+
+  it('records when the bucket will be full again', () => {
+    const { bucket } = takeToken(undefined, LIMIT, NOW);
+    assert.equal(bucket.fullAt, NOW + 10000);
+  });
+});
+
+describe('Memory store', () => {
+  it('limits each key separately', async () => {
+    const store = createMemoryStore();
+    for (let i = 0; i < LIMIT.capacity; i++) await store.take('a', LIMIT, NOW);
+    assert.equal((await store.take('a', LIMIT, NOW)).allowed, false);
+    assert.deepEqual(await store.take('b', LIMIT, NOW), { allowed: true, retryAfter: 0 });
+  });
+
+  it('lets a blocked key through again after retryAfter', async () => {
+    const store = createMemoryStore();
+    for (let i = 0; i < LIMIT.capacity; i++) await store.take('a', LIMIT, NOW);
+    const { retryAfter } = await store.take('a', LIMIT, NOW);
+    assert.equal((await store.take('a', LIMIT, NOW + retryAfter * 1000)).allowed, true);
+  });
+
+  it('sweeps only buckets that have refilled completely', async () => {
+    const store = createMemoryStore();
+    await store.take('a', LIMIT, NOW);
+    await store.take('b', LIMIT, NOW + 5000);
+    store.sweep(NOW + 10000);
+    assert.equal(store.size, 1);
+    store.sweep(NOW + 15000);
+    assert.equal(store.size, 0);
+  });
+});
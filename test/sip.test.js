@@ -0,0 +1,211 @@
+/**
+ * SIP tests - the dashboard's credentials registering with a stub registrar
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { UserAgent, Registerer, RegistererState, TransportState, EmitterImpl } from 'sip.js';
+import { sipConfigFromEnv, sipCredentials } from '../lib/sip.js';
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+function parseMessage(message) {
+  const [head] = message.split('\r\n\r\n');
+  const [requestLine, ...lines] = head.split('\r\n');
+  const headers = {};
+  for (const line of lines) {
+    const colon = line.indexOf(':');
+    headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  const [method, uri] = requestLine.split(' ');
+  return { method, uri, headers };
+}
+
+function digestParams(header) {
+  const params = {};
+  for (const [, key, quoted, bare] of header.replace(/^Digest\s+/i, '').matchAll(/(\w+)=(?:"([^"]*)"|([^\s,]+))/g)) {
+    params[key] = quoted ?? bare;
+  }
+  return params;
+}
+
+/**
+ * A registrar that only knows REGISTER, with the same digest challenge (RFC
+ * 2617, qop=auth) as Asterisk and Kamailio. `bindings` maps each AOR to its
+ * current Contact.
+ */
+function createStubRegistrar({ realm, users }) {
+  const nonces = new Set();
+  const bindings = new Map();
+  const requests = [];
+
+  function reply(request, status, extra = []) {
+    const { headers } = request;
+    const to = /;tag=/.test(headers.to) ? headers.to : `${headers.to};tag=${crypto.randomBytes(4).toString('hex')}`;
+    return [
+      `SIP/2.0 ${status}`,
+      `Via: ${headers.via}`,
+      `From: ${headers.from}`,
+      `To: ${to}`,
+      `Call-ID: ${headers['call-id']}`,
+      `CSeq: ${headers.cseq}`,
+      ...extra,
+      'Content-Length: 0',
+      '', ''
+    ].join('\r\n');
+  }
+
+  function handle(message) {
+    const request = parseMessage(message);
+    requests.push(request);
+    if (request.method !== 'REGISTER') return reply(request, '405 Method Not Allowed');
+
+    const auth = request.headers.authorization && digestParams(request.headers.authorization);
+    if (!auth || !nonces.has(auth.nonce)) {
+      const nonce = crypto.randomBytes(8).toString('hex');
+      nonces.add(nonce);
+      return reply(request, '401 Unauthorized', [`WWW-Authenticate: Digest realm="${realm}", nonce="${nonce}", qop="auth", algorithm=MD5`]);
+    }
+
+    const password = users[auth.username];
+    const ha1 = md5(`${auth.username}:${realm}:${password}`);
+    const ha2 = md5(`REGISTER:${auth.uri}`);
+    const expected = md5(`${ha1}:${auth.nonce}:${auth.nc}:${auth.cnonce}:${auth.qop}:${ha2}`);
+    if (password === undefined || auth.response !== expected) return reply(request, '403 Forbidden');
+
+    // Expiry is a Contact parameter or an Expires header
+    const aor = request.headers.to.match(/<([^>]+)>/)[1];
+    const expires = parseInt(request.headers.contact.match(/;expires=(\d+)/)?.[1] ?? request.headers.expires ?? '3600');
+    if (expires === 0) {
+      bindings.delete(aor);
+      return reply(request, '200 OK');
+    }
+    bindings.set(aor, request.headers.contact);
+    return reply(request, '200 OK', [`Contact: ${request.headers.contact}`]);
+  }
+
+  return { handle, bindings, requests };
+}
+
+// Stands in for the WebSocket: hands every message straight to the registrar
+class StubTransport {
+  constructor(logger, { registrar }) {
+    this.registrar = registrar;
+    this.protocol = 'WSS';
+    this.state = TransportState.Disconnected;
+    this.stateChange = new EmitterImpl();
+  }
+
+  setState(state) {
+    this.state = state;
+    this.stateChange.emit(state);
+  }
+
+  async connect() {
+    this.setState(TransportState.Connected);
+    this.onConnect?.();
+  }
+
+  async disconnect() {
+    this.setState(TransportState.Disconnected);
+    this.onDisconnect?.();
+  }
+
+  async dispose() {
+    await this.disconnect();
+  }
+
+  isConnected() {
+    return this.state === TransportState.Connected;
+  }
+
+  async send(message) {
+    const response = this.registrar.handle(message);
+    setImmediate(() => this.onMessage?.(response));
+  }
+}
+
+const ENV = {
+  SIP_SERVER: 'pbx.example.com',
+  SIP_USERNAME: '1001',
+  SIP_PASSWORD: 'correct horse'
+};
+
+// The same user agent options the dashboard builds from /api/sip/credentials
+async function register(credentials, registrar) {
+  const userAgent = new UserAgent({
+    uri: UserAgent.makeURI(credentials.uri),
+    authorizationUsername: credentials.username,
+    authorizationPassword: credentials.password,
+    displayName: credentials.displayName,
+    transportConstructor: StubTransport,
+    transportOptions: { server: credentials.wsServer, registrar },
+    logLevel: 'error'
+  });
+  await userAgent.start();
+
+  const registerer = new Registerer(userAgent);
+  const outcome = new Promise((resolve) => {
+    registerer.stateChange.addListener((state) => {
+      if (state === RegistererState.Registered) resolve('registered');
+    });
+    registerer.register({ requestDelegate: { onReject: (response) => resolve(response.message.statusCode) } });
+  });
+  return { userAgent, registerer, outcome: await outcome };
+}
+
+describe('SIP settings', () => {
+  it('defaults the domain and WebSocket server to SIP_SERVER', () => {
+    const sip = sipConfigFromEnv(ENV);
+    assert.equal(sip.domain, 'pbx.example.com');
+    assert.equal(sip.wsServer, 'wss://pbx.example.com:8089/ws');
+
+    const custom = sipConfigFromEnv({ ...ENV, SIP_DOMAIN: 'example.com', SIP_WS_SERVER: 'wss://ws.example.com/sip' });
+    assert.equal(custom.domain, 'example.com');
+    assert.equal(custom.wsServer, 'wss://ws.example.com/sip');
+  });
+
+  it('hands out no credentials until a server and username are set', () => {
+    assert.equal(sipCredentials(sipConfigFromEnv({}), 'owner'), null);
+    assert.equal(sipCredentials(sipConfigFromEnv({ SIP_SERVER: 'pbx.example.com' }), 'owner'), null);
+  });
+
+  it('falls back to the owner username for the display name', () => {
+    assert.equal(sipCredentials(sipConfigFromEnv(ENV), 'owner').displayName, 'owner');
+    assert.equal(sipCredentials(sipConfigFromEnv({ ...ENV, SIP_DISPLAY_NAME: 'Front desk' }), 'owner').displayName, 'Front desk');
+  });
+});
+
+describe('SIP registration against a stub registrar', () => {
+  it('registers with the digest credentials it is given', async () => {
+    const credentials = sipCredentials(sipConfigFromEnv(ENV), 'owner');
+    const registrar = createStubRegistrar({ realm: 'pbx.example.com', users: { '1001': 'correct horse' } });
+    const { userAgent, registerer, outcome } = await register(credentials, registrar);
+
+    assert.equal(outcome, 'registered');
+    assert.ok(registrar.bindings.has('sip:1001@pbx.example.com'));
+    assert.deepEqual(registrar.requests.map(r => !!r.headers.authorization), [false, true]);
+
+    const unregistered = new Promise((resolve) => {
+      registerer.stateChange.addListener((state) => {
+        if (state === RegistererState.Unregistered) resolve();
+      });
+    });
+    await registerer.unregister();
+    await unregistered;
+    assert.equal(registrar.bindings.size, 0);
+    await userAgent.stop();
+  });
+
+  it('is refused with the wrong password', async () => {
+    const credentials = sipCredentials(sipConfigFromEnv({ ...ENV, SIP_PASSWORD: 'wrong' }), 'owner');
+    const registrar = createStubRegistrar({ realm: 'pbx.example.com', users: { '1001': 'correct horse' } });
+    const { userAgent, outcome } = await register(credentials, registrar);
+
+    assert.equal(outcome, 403);
+    assert.equal(registrar.bindings.size, 0);
+    await userAgent.stop();
+  });
+});
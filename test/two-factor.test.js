@@ -0,0 +1,120 @@
+/**
+ * Owner two-factor tests - base32, TOTP and recovery codes
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32Encode,
+  base32Decode,
+  totpCode,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  spendRecoveryCode
+} from '../lib/two-factor.js';
+
+// The RFC 4226 / RFC 6238 SHA-1 test secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('Base32', () => {
+  // RFC 4648 section 10, without padding
+  const vectors = [['', ''], ['f', 'MY'], ['fo', 'MZXQ'], ['foo', 'MZXW6'], ['foob', 'MZXW6YQ'], ['fooba', 'MZXW6YTB'], ['foobar', 'MZXW6YTBOI']];
+
+  it('encodes and decodes the RFC 4648 vectors', () => {
+    for (const [plain, encoded] of vectors) {
+      assert.equal(base32Encode(Buffer.from(plain)), encoded);
+      assert.equal(base32Decode(encoded).toString(), plain);
+    }
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('accepts lowercase and padding, and rejects other characters', () => {
+    assert.equal(base32Decode('mzxw6ytboi======').toString(), 'foobar');
+    assert.throws(() => base32Decode('MZXW1'), /Invalid base32/);
+  });
+});
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 SHA-1 vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ];
+    for (const [seconds, code] of vectors) {
+      const step = Math.floor(seconds / 30);
+      assert.equal(totpCode(RFC_SECRET, step, 8), code, `T=${seconds}`);
+      // Authenticator apps show the last six digits
+      assert.equal(totpCode(RFC_SECRET, step), code.slice(2), `T=${seconds}`);
+    }
+  });
+
+  it('matches the RFC 4226 HOTP vectors', () => {
+    const codes = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    codes.forEach((code, counter) => assert.equal(totpCode(RFC_SECRET, counter), code));
+  });
+
+  it('accepts the current step and one step of drift either way', () => {
+    const now = 1111111111 * 1000;
+    const step = Math.floor(now / 30000);
+
+    assert.equal(verifyTotp(RFC_SECRET, '050471', null, now), step);
+    assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 1), null, now), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 1), null, now), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 2), null, now), null);
+    assert.equal(verifyTotp(RFC_SECRET, '050 471', null, now), step);
+  });
+
+  it('rejects a code whose step was already used', () => {
+    const now = 1111111111 * 1000;
+    const step = Math.floor(now / 30000);
+
+    assert.equal(verifyTotp(RFC_SECRET, '050471', step, now), null);
+    assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 1), step - 1, now), null);
+    // A later code is still fine after an earlier one was used
+    assert.equal(verifyTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 1), step, now), step + 1);
+  });
+
+  it('rejects malformed codes and a missing secret', () => {
+    const now = 1111111111 * 1000;
+    assert.equal(verifyTotp(RFC_SECRET, '12345', null, now), null);
+    assert.equal(verifyTotp(RFC_SECRET, '14050471', null, now), null);
+    assert.equal(verifyTotp(RFC_SECRET, '', null, now), null);
+    assert.equal(verifyTotp(null, '050471', null, now), null);
+  });
+});
+
+describe('Recovery codes', () => {
+  it('stores ten distinct codes as hashes only', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const stored = JSON.parse(hashes);
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    for (const code of codes) assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    assert.deepEqual(stored, codes.map(hashRecoveryCode));
+    assert.ok(!hashes.includes(codes[0]));
+  });
+
+  it('spends each code once', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    const remaining = spendRecoveryCode(hashes, codes[3]);
+    assert.equal(JSON.parse(remaining).length, 9);
+    assert.equal(spendRecoveryCode(remaining, codes[3]), null);
+    assert.notEqual(spendRecoveryCode(remaining, codes[4]), null);
+  });
+
+  it('ignores case and separators but rejects unknown codes', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+
+    assert.notEqual(spendRecoveryCode(hashes, codes[0].toUpperCase().replace('-', ' ')), null);
+    assert.equal(spendRecoveryCode(hashes, '00000-00000'), null);
+    assert.equal(spendRecoveryCode(null, codes[0]), null);
+  });
+});
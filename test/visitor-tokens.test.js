@@ -0,0 +1,62 @@
+/**
+ * Visitor token tests
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVisitorToken, parseVisitorToken, isTokenRowActive } from '../lib/visitor-tokens.js';
+
+const SECRET = 'test-secret';
+const NOW = Date.UTC(2026, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+const issue = (expiresAt = new Date(NOW + HOUR)) => createVisitorToken(SECRET, 'visitor-1', 'token-1', expiresAt);
+
+describe('Visitor tokens', () => {
+  it('round-trips a valid token', () => {
+    assert.deepEqual(parseVisitorToken(SECRET, issue(), NOW), { visitorId: 'visitor-1', tokenId: 'token-1' });
+  });
+
+  it('rejects a tampered signature', () => {
+    const token = issue();
+    const last = token.at(-1) === 'A' ? 'B' : 'A';
+    assert.equal(parseVisitorToken(SECRET, token.slice(0, -1) + last, NOW), null);
+  });
+
+  it('rejects a tampered payload', () => {
+    const [, tokenId, expires, signature] = issue().split('.');
+    assert.equal(parseVisitorToken(SECRET, `visitor-2.${tokenId}.${expires}.${signature}`, NOW), null);
+  });
+
+  it('rejects a token extended past its expiry', () => {
+    const [visitorId, tokenId, expires, signature] = issue().split('.');
+    const later = parseInt(expires) + 365 * 24 * 60 * 60;
+    assert.equal(parseVisitorToken(SECRET, `${visitorId}.${tokenId}.${later}.${signature}`, NOW), null);
+  });
+
+  it('rejects a token signed with another secret', () => {
+    const token = createVisitorToken('other-secret', 'visitor-1', 'token-1', new Date(NOW + HOUR));
+    assert.equal(parseVisitorToken(SECRET, token, NOW), null);
+  });
+
+  it('rejects an expired token', () => {
+    const token = issue(new Date(NOW - 1000));
+    assert.equal(parseVisitorToken(SECRET, token, NOW), null);
+    assert.ok(parseVisitorToken(SECRET, token, NOW - 2000));
+  });
+
+  it('rejects malformed tokens', () => {
+    for (const token of [undefined, null, 42, '', 'a.b.c', 'a.b.c.d.e', issue() + '.']) {
+      assert.equal(parseVisitorToken(SECRET, token, NOW), null);
+    }
+  });
+
+  it('treats revoked and expired rows as inactive', () => {
+    const expires_at = new Date(NOW + HOUR);
+    assert.equal(isTokenRowActive({ revoked_at: null, expires_at }, NOW), true);
+    assert.equal(isTokenRowActive({ revoked_at: new Date(NOW - 1000), expires_at }, NOW), false);
+    assert.equal(isTokenRowActive({ revoked_at: null, expires_at: new Date(NOW - 1000) }, NOW), false);
+    assert.equal(isTokenRowActive(undefined, NOW), false);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Wallet signature verification tests
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodeSegwitAddress,
+  bip322ToSpendTxid,
+  verifyBIP322Signature,
+  zbase32Decode,
+  verifyLightningSignature
+} from '../lib/wallet-signatures.js';
+
+// =============================================================================
+// BIP-322
+// =============================================================================
+
+// Test vectors from BIP-322 - every address belongs to the private key
+// L3VFeEujGtevx9w18HD1fhRbCH67Az2dpCymeRE1SoPK6XQtaN2k
+const P2WPKH_ADDRESS = 'bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l';
+const P2SH_P2WPKH_ADDRESS = '37qyp7jQAzqb2rCBpMvVtLDuuzKAUCVnJb';
+const P2TR_ADDRESS = 'bc1ppv609nr0vr25u07u95waq5lucwfm6tde4nydujnu8npg4q75mr5sxq8lt3';
+
+const BIP322_VECTORS = [
+  {
+    name: 'P2WPKH, empty message',
+    address: P2WPKH_ADDRESS,
+    message: '',
+    signature: 'AkcwRAIgM2gBAQqvZX15ZiysmKmQpDrG83avLIT492QBzLnQIxYCIBaTpOaD20qRlEylyxFSeEA2ba9YOixpX8z46TSDtS40ASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI='
+  },
+  {
+    name: 'P2WPKH, "Hello World"',
+    address: P2WPKH_ADDRESS,
+    message: 'Hello World',
+    signature: 'AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtptFluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI='
+  },
+  {
+    name: 'P2WPKH, "Hello World" (second signature)',
+    address: P2WPKH_ADDRESS,
+    message: 'Hello World',
+    signature: 'AkgwRQIhAOzyynlqt93lOKJr+wmmxIens//zPzl9tqIOua93wO6MAiBi5n5EyAcPScOjf1lAqIUIQtr3zKNeavYabHyR8eGhowEhAsfxIAMZZEKUPYWI4BruhAQjzFT8FSFSajuFwrDL1Yhy'
+  },
+  {
+    name: 'P2TR, "Hello World"',
+    address: P2TR_ADDRESS,
+    message: 'Hello World',
+    signature: 'AUHd69PrJQEv+oKTfZ8l+WROBHuy9HKrbFCJu7U1iK2iiEy1vMU5EfMtjc+VSHM7aU0SDbak5IUZRVno2P5mjSafAQ=='
+  },
+  // The BIP lists no P2SH-P2WPKH signatures - these were made for its test key with bip322-js
+  {
+    name: 'P2SH-P2WPKH, empty message',
+    address: P2SH_P2WPKH_ADDRESS,
+    message: '',
+    signature: 'AkgwRQIhAJFXl+/g7w+UDxvGex2KulmFJshHi02gQZXGRpZ+9bapAiB5Q/ikazTS7FMewqVFil3RLkEErUZ25k6f/xYThoQXogEhAsfxIAMZZEKUPYWI4BruhAQjzFT8FSFSajuFwrDL1Yhy'
+  },
+  {
+    name: 'P2SH-P2WPKH, "Hello World"',
+    address: P2SH_P2WPKH_ADDRESS,
+    message: 'Hello World',
+    signature: 'AkcwRAIgRfq2Gfv9guFcXAf2vQEJSHX8FP5OuiHs1DSK1I0wk/0CIGPzqm6QNPTDJuki148OQ2DbJtXyrr71s4xYPwogQUupASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI='
+  }
+];
+
+// Flip one bit in the DER signature inside the witness
+function tamper(signature) {
+  const raw = Buffer.from(signature, 'base64');
+  raw[10] ^= 0x01;
+  return raw.toString('base64');
+}
+
+describe('BIP-322', () => {
+  it('builds the to_spend transaction from the BIP', () => {
+    const { program } = decodeSegwitAddress(P2WPKH_ADDRESS);
+    const scriptPubKey = Buffer.concat([Buffer.from([0x00, 0x14]), program]);
+    // Transaction ids are displayed byte-reversed
+    const txid = (message) => Buffer.from(bip322ToSpendTxid(message, scriptPubKey)).reverse().toString('hex');
+
+    assert.equal(txid(''), 'c5680aa69bb8d860bf82d4e9cd3504b55dde018de765a91bb566283c545a99a7');
+    assert.equal(txid('Hello World'), 'b79d196740ad5217771c1098fc4a4b51e0535c32236c71f1ea4d61a2d603352b');
+  });
+
+  for (const { name, address, message, signature } of BIP322_VECTORS) {
+    it(`verifies ${name}`, async () => {
+      assert.deepEqual(await verifyBIP322Signature(address, message, signature), { valid: true });
+    });
+  }
+
+  it('rejects a signature for another message', async () => {
+    const [empty, hello] = BIP322_VECTORS;
+    assert.equal((await verifyBIP322Signature(P2WPKH_ADDRESS, 'Hello World', empty.signature)).valid, false);
+    assert.equal((await verifyBIP322Signature(P2WPKH_ADDRESS, '', hello.signature)).valid, false);
+  });
+
+  it('rejects a signature checked against the wrong address', async () => {
+    const hello = BIP322_VECTORS[1];
+    const result = await verifyBIP322Signature('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', hello.message, hello.signature);
+    assert.deepEqual(result, { valid: false, error: 'Public key does not match address' });
+
+    const taproot = BIP322_VECTORS[3];
+    assert.equal((await verifyBIP322Signature(P2WPKH_ADDRESS, taproot.message, taproot.signature)).valid, false);
+  });
+
+  it('rejects tampered witnesses', async () => {
+    for (const { name, address, message, signature } of BIP322_VECTORS) {
+      const result = await verifyBIP322Signature(address, message, tamper(signature));
+      assert.equal(result.valid, false, name);
+    }
+  });
+
+  it('rejects unsupported addresses', async () => {
+    const result = await verifyBIP322Signature('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', 'Hello World', BIP322_VECTORS[1].signature);
+    assert.deepEqual(result, { valid: false, error: 'Unsupported address type for BIP-322' });
+  });
+});
+
+// =============================================================================
+// LIGHTNING
+// =============================================================================
+
+// `lncli signmessage "is this compatible?"` from an LND node (also used by Core
+// Lightning's checkmessage interop tests)
+const LND_VECTOR = {
+  pubkey: '02b80cabdf82638aac86948e4c06e82064f547768dcef977677b9ea931ea75bab5',
+  message: 'is this compatible?',
+  signature: 'rbgfioj114mh48d8egqx8o9qxqw4fmhe8jbeeabdioxnjk8z3t1ma1hu1fiswpakgucwwzwo6ofycffbsqusqdimugbh41n1g698hr9t'
+};
+
+describe('Lightning signmessage', () => {
+  it('decodes the z-base-32 signature to a 65-byte compact signature', () => {
+    const bytes = zbase32Decode(LND_VECTOR.signature);
+    assert.equal(bytes.length, 65);
+    // LND always signs with a compressed key: header 31-34
+    assert.ok(bytes[0] >= 31 && bytes[0] <= 34);
+  });
+
+  it('verifies an lncli signature against the node pubkey', async () => {
+    const { pubkey, message, signature } = LND_VECTOR;
+    assert.deepEqual(await verifyLightningSignature(pubkey, message, signature), { valid: true });
+    assert.deepEqual(await verifyLightningSignature(pubkey.toUpperCase(), message, signature), { valid: true });
+  });
+
+  it('rejects a mismatched node pubkey', async () => {
+    const { message, signature } = LND_VECTOR;
+    const otherNode = '0266e4598d1d3c415f572a8488830b60f7e744ed9235eb0b1ba93283b315c03518';
+    assert.deepEqual(
+      await verifyLightningSignature(otherNode, message, signature),
+      { valid: false, error: 'Signature does not match node public key' }
+    );
+  });
+
+  it('rejects a different message', async () => {
+    const { pubkey, signature } = LND_VECTOR;
+    assert.equal((await verifyLightningSignature(pubkey, 'is this compatible!', signature)).valid, false);
+  });
+
+  it('rejects malformed pubkeys and signatures', async () => {
+    const { pubkey, message, signature } = LND_VECTOR;
+    assert.equal((await verifyLightningSignature(pubkey.slice(2), message, signature)).valid, false);
+    assert.deepEqual(
+      await verifyLightningSignature(pubkey, message, signature.slice(0, -8)),
+      { valid: false, error: 'Invalid signature length' }
+    );
+    assert.equal((await verifyLightningSignature(pubkey, message, signature.replace(/^r/, 'l'))).valid, false);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Passkey (WebAuthn) tests
+ * Run: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  cborDecode,
+  parseAuthenticatorData,
+  coseToPublicKey,
+  verifyPasskeyRegistration,
+  verifyPasskeyAssertion
+} from '../lib/webauthn.js';
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+// Responses recorded from real authenticators in browsers, as published with
+// fido2-lib's test suite (MIT). The security key ones were made without user
+// verification, so they are checked with it turned off.
+
+// Security key, attestation "none", ES256 - https://localhost:8443, no user verification
+const REGISTRATION_ES256 = {
+  credential: {
+    id: 'AAii3V6sGoaozW7TbNaYlJaJ5br8TrBfRXnofZO6l2suc3a5tt_XFuFkFA_5eabU80S1PW0m4IZ79BS2kQO7Zcuy2vf0ESg18GTLG1mo5YSkIdqL2J44egt-6rcj7NedSEwxa_uuxUYBtHNnSQqDmtoUAfM9LSWLl65BjKVZNGUp9ao33mMSdVfQQ0bHze69JVQvLBf8OTiZUqJsOuKmpqUc',
+    response: {
+      clientDataJSON: 'eyJjaGFsbGVuZ2UiOiIzM0VIYXYtaloxdjlxd0g3ODNhVS1qMEFSeDZyNW8tWUhoLXdkN0M2alBiZDdXaDZ5dGJJWm9zSUlBQ2Vod2Y5LXM2aFhoeVNITy1ISFVqRXdaUzI5dyIsImNsaWVudEV4dGVuc2lvbnMiOnt9LCJoYXNoQWxnb3JpdGhtIjoiU0hBLTI1NiIsIm9yaWdpbiI6Imh0dHBzOi8vbG9jYWxob3N0Ojg0NDMiLCJ0eXBlIjoid2ViYXV0aG4uY3JlYXRlIn0=',
+      attestationObject: 'o2NmbXRkbm9uZWdhdHRTdG10oGhhdXRoRGF0YVkBJkmWDeWIDoxodDQXD2R2YFuP5K65ooYyx5lc87qDHZdjQQAAAAAAAAAAAAAAAAAAAAAAAAAAAKIACKLdXqwahqjNbtNs1piUlonluvxOsF9Feeh9k7qXay5zdrm239cW4WQUD_l5ptTzRLU9bSbghnv0FLaRA7tly7La9_QRKDXwZMsbWajlhKQh2ovYnjh6C37qtyPs151ITDFr-67FRgG0c2dJCoOa2hQB8z0tJYuXrkGMpVk0ZSn1qjfeYxJ1V9BDRsfN7r0lVC8sF_w5OJlSomw64qampRylAQIDJiABIVgguxHN3W6ehp0VWXKaMNie1J82MVJCFZYScau74o17cx8iWCDb1jkTLi7lYZZbgwUwpqAk8QmIiPMTVQUVkhGEyGrKww=='
+    }
+  },
+  expected: { challenge: '33EHav-jZ1v9qwH783aU-j0ARx6r5o-YHh-wd7C6jPbd7Wh6ytbIZosIIACehwf9-s6hXhySHO-HHUjEwZS29w', rpId: 'localhost', origins: ['https://localhost:8443'], requireUserVerification: false }
+};
+
+// Windows Hello, attestation "packed", RS256 - https://56k.guru, user verified
+const REGISTRATION_RS256 = {
+  credential: {
+    id: 'hlu41IHKwi7WQmD2M6G-l2ekw9cFySKzaMjCdrz3oLw',
+    response: {
+      clientDataJSON: 'eyJ0eXBlIjoid2ViYXV0aG4uY3JlYXRlIiwiY2hhbGxlbmdlIjoiakdPYVpMem0wdDc1ZEFoVXUxRHRtQWkxdk9MaHFCelR5SHBVX3lNVU1oMFdCN1V3V2JkY1hfZy1qa01ZZG5SWlpaNENDb3VSUTM5VTdaWWZXY09JWnMzMHlUUXVudWJzZ3cyN0V3OEdKa1NieFByZzBvOGxIRGFYOEtvYWVvVVlOUDZER1FMRE1qZjRHUmptbElxNmV2SHF6dEkyR3VVX2NIS215Z0N3WnBJIiwib3JpZ2luIjoiaHR0cHM6Ly81NmsuZ3VydSIsImNyb3NzT3JpZ2luIjpmYWxzZX0',
+      attestationObject: 'o2NmbXRmcGFja2VkZ2F0dFN0bXSiY2FsZzkBAGNzaWdZAQBmFatdTuQmnRi7VvFBDp76miMYayh2FwKQ1ixXJIpi2rdhqN4K_t7rnwTkrkRsiw0H7fdIRREPLl-ocVown-2Zq7g22-cSJ6HKo7WbCGgT0LebPr9QKOJjKLdL2RidRbkHnyxwx-O2BjMNhpYu_n_ujgptTEKSO3ATBJqFyMwY41aOH55rQc6F3lJ0q_vEunxXjDYFPKAUtkdfUzHyqHlodZNFQchx9VciQ-K708J5ba5x4SS_NfL-VywAfdmENppbjUwgnPe-soX-P_0oTu3BmyqZtRDgEo1a0_8Ph_CwBwdMElTmemAN2QP6sx-n-7oKHTfwTUtji7dTtNZRbZjHaGF1dGhEYXRhWQFn6MBuQeOuyEGBcZZuWNemhjSKlxExGandXGHuqGYGFoNFAAAAAGAosBex1EwCtLOvza_Ja7IAIIZbuNSBysIu1kJg9jOhvpdnpMPXBckis2jIwna896C8pAEDAzkBACBZAQCwPaCqK6bosK5IgLaKLqnts7z5ch4VDvJtns1Xyyar6B90JL9XvVCjUCASdJTcv47_PrjZhIlWrsWYfHQuBMl2hpg4n6vA3pbOR9_t8AlGjQbcEFBJx2mWbX34s6MDIRMUvMiauWtRc5L7abjjJBg9jpEq4COomNL25PpmQd6if9MjH4wuYZx9L89ejGjSAmMuFELDBsgRyYCMKPLMOLmkq493dNhwjDiryokW35lB1VqZLNUlmORAhYn6Yn5AWFvc26U3acXPcVh0bktQxTCsxWxGVMxwzcHAOtQyAD8x9rzhI65YaIKWNmRtlYPKu_TEPr2IBlLPB7HwgP3tstNhIUMBAAE'
+    }
+  },
+  expected: { challenge: 'jGOaZLzm0t75dAhUu1DtmAi1vOLhqBzTyHpU_yMUMh0WB7UwWbdcX_g-jkMYdnRZZZ4CCouRQ39U7ZYfWcOIZs30yTQunubsgw27Ew8GJkSbxPrg0o8lHDaX8KoaeoUYNP6DGQLDMjf4GRjmlIq6evHqztI2GuU_cHKmygCwZpI', rpId: '56k.guru', origins: ['https://56k.guru'] }
+};
+
+// Security key, ES256, sign count 363 - https://localhost:8443, no user verification
+const ASSERTION_ES256 = {
+  credential: {
+    id: 'AAhH7cnPRBkcukjnc2G2GM1H5dkVs9P1q2VErhD57pkzKVjBbixdsufjXhUOfiD27D0VA-fPKUVYNGE2XYcjhihtYODQv-xEarplsa7Ix6hK13FA6uyRxMgHC3PhTbx-rbq_RMUbaJ-HoGVt-c820ifdoagkFR02Van8Vr9q67Bn6zHNDT_DNrQbtpIUqqX_Rg2p5o6F7bVO3uOJG9hUNgUb',
+    response: {
+      clientDataJSON: 'eyJjaGFsbGVuZ2UiOiJlYVR5VU5ueVBERGRLOFNORWdURVV2ejFROGR5bGtqalRpbVlkNVg3UUFvLUY4X1oxbHNKaTNCaWxVcEZaSGtJQ05EV1k4cjlpdm5UZ1c3LVhaQzNxUSIsImNsaWVudEV4dGVuc2lvbnMiOnt9LCJoYXNoQWxnb3JpdGhtIjoiU0hBLTI1NiIsIm9yaWdpbiI6Imh0dHBzOi8vbG9jYWxob3N0Ojg0NDMiLCJ0eXBlIjoid2ViYXV0aG4uZ2V0In0=',
+      authenticatorData: 'SZYN5YgOjGh0NBcPZHZgW4_krrmihjLHmVzzuoMdl2MBAAABaw==',
+      signature: 'MEYCIQD6dF3B0ZoaLA0r78oyRdoMNR0bN93Zi4cF_75hFAH6pQIhALY0UIsrh03u_f4yKOwzwD6Cj3_GWLJiioTT9580s1a7'
+    }
+  },
+  expected: { challenge: 'eaTyUNnyPDDdK8SNEgTEUvz1Q8dylkjjTimYd5X7QAo-F8_Z1lsJi3BilUpFZHkICNDWY8r9ivnTgW7-XZC3qQ', rpId: 'localhost', origins: ['https://localhost:8443'], requireUserVerification: false },
+  stored: { public_key: 'MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAERez9aO2wBAWO54MuGbEqSdWahSnGMAg35BCNkaE3j8Q+O/ZhhKqTeIKm7El70EG6ejt4sg1ZaoQ5ELg8k3ywTg==', algorithm: -7, sign_count: 0 }
+};
+
+// Windows Hello, RS256, sign count 1 - https://webauthn.org, user verified
+const ASSERTION_RS256 = {
+  credential: {
+    id: 'AwVUFfSwuMV1DRHfYmNry1IUGW03wEw9aTAR7kJM1nw',
+    response: {
+      clientDataJSON: 'ew0KCSJ0eXBlIiA6ICJ3ZWJhdXRobi5nZXQiLA0KCSJjaGFsbGVuZ2UiIDogIm03WlUwWi1fSWl3dmlGbkYxSlhlSmpGaFZCaW5jVzY5RTFDdGo4QVEtWWJiMXVjNDFiTUh0SXRnNkpBQ2gxc09qX1pYam9udzJhY2pfSkQyaS1heEVRIiwNCgkib3JpZ2luIiA6ICJodHRwczovL3dlYmF1dGhuLm9yZyIsDQoJInRva2VuQmluZGluZyIgOiANCgl7DQoJCSJzdGF0dXMiIDogInN1cHBvcnRlZCINCgl9DQp9',
+      authenticatorData: 'lWkIjx7O4yMpVANdvRDXyuORMFonUbVZu4_Xy7IpvdQFAAAAAQ',
+      signature: 'ElyXBPkS6ps0aod8pSEwdbaeG04SUSoucEHaulPrK3eBk3R4aePjTB-SjiPbya5rxzbuUIYO0UnqkpZrb19ZywWqwQ7qVxZzxSq7BCZmJhcML7j54eK_2nszVwXXVgO7WxpBcy_JQMxjwjXw6wNAxmnJ-H3TJJO82x4-9pDkno-GjUH2ObYk9NtkgylyMcENUaPYqajSLX-q5k14T2g839UC3xzsg71xHXQSeHgzPt6f3TXpNxNNcBYJAMm8-exKsoMkxHPDLkzK1wd5giietdoT25XQ72i8fjSSL8eiS1gllEjwbqLJn5zMQbWlgpSzJy3lK634sdeZtmMpXbRtMA'
+    }
+  },
+  expected: { challenge: 'm7ZU0Z-_IiwviFnF1JXeJjFhVBincW69E1Ctj8AQ-Ybb1uc41bMHtItg6JACh1sOj_ZXjonw2acj_JD2i-axEQ', rpId: 'webauthn.org', origins: ['https://webauthn.org'] },
+  stored: { public_key: 'MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA2zT9pxqfMK3SNWvasEpd5/IcnjKGUJcUOGWjNJ3oszlvOlkpiWjCwYqnVH0Fy4ohm0rGzOOw4kyQh6i/X2qXdA0C2UNpuq29wpLBxl5ZiePVpnetJJVFRKiwA9WoDvlU3zX7QpFKzbEeRKSmI9r0gvJfCPOYWDhmiYxRZ4/u8hfSQ/Qg7NiV0K7jLv1m/2qtPEHVko7UGmXjWk0KANNeXi2bwhQTU938I5aXtUQzDaURHbxCpmm86sKNgOWT1CVOGMuRqHBdyt5qKeu5N0DBaRFRRFVkcx6N0fU8y7DHXYnry0T+2Ln8rDZMZrfjQ/+b48CibGU9GwomshQE32pt/QIDAQAB', algorithm: -257, sign_count: 0 }
+};
+
+// A copy of a fixture's credential with one response field replaced
+function withResponse(fixture, changes) {
+  return { ...fixture.credential, response: { ...fixture.credential.response, ...changes } };
+}
+
+// Flip one bit of a base64url field
+function flipBit(value, index) {
+  const bytes = Buffer.from(value, 'base64url');
+  bytes[index] ^= 0x01;
+  return bytes.toString('base64url');
+}
+
+// =============================================================================
+// CBOR / COSE
+// =============================================================================
+
+describe('CBOR', () => {
+  const decode = hex => cborDecode(Buffer.from(hex, 'hex')).value;
+
+  it('decodes integers, strings and simple values (RFC 8949 examples)', () => {
+    assert.equal(decode('00'), 0);
+    assert.equal(decode('17'), 23);
+    assert.equal(decode('1818'), 24);
+    assert.equal(decode('1903e8'), 1000);
+    assert.equal(decode('1a000f4240'), 1000000);
+    assert.equal(decode('20'), -1);
+    assert.equal(decode('3903e7'), -1000);
+    assert.equal(decode('6449455446'), 'IETF');
+    assert.deepEqual(decode('4401020304'), Buffer.from([1, 2, 3, 4]));
+    assert.equal(decode('f4'), false);
+    assert.equal(decode('f5'), true);
+    assert.equal(decode('f6'), null);
+  });
+
+  it('decodes arrays and maps', () => {
+    assert.deepEqual(decode('8301820203820405'), [1, [2, 3], [4, 5]]);
+    assert.deepEqual(decode('a26161016162820203'), new Map([['a', 1], ['b', [2, 3]]]));
+  });
+
+  it('rejects truncated and indefinite-length items', () => {
+    assert.throws(() => decode('44010203'), /Truncated CBOR/);
+    assert.throws(() => decode('5f42010243030405ff'), /Unsupported CBOR item/);
+    assert.throws(() => decode('f97e00'), /Unsupported CBOR item/);
+  });
+
+  it('reads the credential and its COSE key from recorded authenticator data', () => {
+    const attestation = cborDecode(Buffer.from(REGISTRATION_ES256.credential.response.attestationObject, 'base64url')).value;
+    assert.equal(attestation.get('fmt'), 'none');
+
+    const authData = parseAuthenticatorData(attestation.get('authData'));
+    assert.deepEqual(authData.rpIdHash, crypto.createHash('sha256').update('localhost').digest());
+    assert.equal(authData.signCount, 0);
+    assert.equal(authData.credentialId.toString('base64url'), REGISTRATION_ES256.credential.id);
+
+    const { algorithm, publicKey } = coseToPublicKey(authData.credentialPublicKey);
+    assert.equal(algorithm, -7);
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+    assert.equal(key.asymmetricKeyDetails.namedCurve, 'prime256v1');
+  });
+
+  it('rejects unsupported COSE algorithms', () => {
+    // ES384 on P-384
+    assert.throws(() => coseToPublicKey(new Map([[1, 2], [3, -35], [-1, 2]])), /Unsupported passkey algorithm/);
+  });
+});
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+describe('Passkey registration', () => {
+  it('accepts a recorded ES256 registration', () => {
+    const passkey = verifyPasskeyRegistration(REGISTRATION_ES256.credential, REGISTRATION_ES256.expected);
+    assert.equal(passkey.credentialId, REGISTRATION_ES256.credential.id);
+    assert.equal(passkey.algorithm, -7);
+    assert.equal(passkey.signCount, 0);
+  });
+
+  it('accepts a recorded RS256 registration', () => {
+    const passkey = verifyPasskeyRegistration(REGISTRATION_RS256.credential, REGISTRATION_RS256.expected);
+    assert.equal(passkey.credentialId, REGISTRATION_RS256.credential.id);
+    assert.equal(passkey.algorithm, -257);
+  });
+
+  it('requires user verification unless turned off', () => {
+    const expected = { ...REGISTRATION_ES256.expected, requireUserVerification: undefined };
+    assert.throws(() => verifyPasskeyRegistration(REGISTRATION_ES256.credential, expected), /User verification required/);
+  });
+
+  it('rejects the wrong challenge, origin or RP ID', () => {
+    const { credential, expected } = REGISTRATION_RS256;
+    assert.throws(() => verifyPasskeyRegistration(credential, { ...expected, challenge: 'other' }), /Challenge mismatch/);
+    assert.throws(() => verifyPasskeyRegistration(credential, { ...expected, origins: ['https://example.com'] }), /not allowed/);
+    assert.throws(() => verifyPasskeyRegistration(credential, { ...expected, rpId: 'example.com' }), /different site/);
+  });
+
+  it('rejects an assertion sent as a registration', () => {
+    const credential = withResponse(REGISTRATION_ES256, { clientDataJSON: ASSERTION_ES256.credential.response.clientDataJSON });
+    const expected = { ...REGISTRATION_ES256.expected, challenge: ASSERTION_ES256.expected.challenge };
+    assert.throws(() => verifyPasskeyRegistration(credential, expected), /Wrong WebAuthn ceremony/);
+  });
+});
+
+// =============================================================================
+// ASSERTION
+// =============================================================================
+
+describe('Passkey assertion', () => {
+  it('verifies a recorded ES256 assertion and returns its sign count', () => {
+    const { credential, expected, stored } = ASSERTION_ES256;
+    assert.equal(verifyPasskeyAssertion(credential, expected, stored), 363);
+  });
+
+  it('verifies a recorded RS256 assertion', () => {
+    const { credential, expected, stored } = ASSERTION_RS256;
+    assert.equal(verifyPasskeyAssertion(credential, expected, stored), 1);
+  });
+
+  it('rejects tampered signatures', () => {
+    for (const fixture of [ASSERTION_ES256, ASSERTION_RS256]) {
+      const credential = withResponse(fixture, { signature: flipBit(fixture.credential.response.signature, 20) });
+      assert.throws(() => verifyPasskeyAssertion(credential, fixture.expected, fixture.stored), /Invalid passkey signature/);
+    }
+  });
+
+  it('rejects tampered authenticator data and client data', () => {
+    const { credential, expected, stored } = ASSERTION_ES256;
+    // Last byte of the sign counter
+    const authenticatorData = flipBit(credential.response.authenticatorData, 36);
+    assert.throws(() => verifyPasskeyAssertion(withResponse(ASSERTION_ES256, { authenticatorData }), expected, stored), /Invalid passkey signature/);
+
+    const clientData = JSON.parse(Buffer.from(credential.response.clientDataJSON, 'base64url'));
+    const clientDataJSON = Buffer.from(JSON.stringify({ ...clientData, crossOrigin: true })).toString('base64url');
+    assert.throws(() => verifyPasskeyAssertion(withResponse(ASSERTION_ES256, { clientDataJSON }), expected, stored), /Invalid passkey signature/);
+  });
+
+  it('rejects a signature from another key', () => {
+    const { credential, expected } = ASSERTION_ES256;
+    const other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).publicKey.export({ type: 'spki', format: 'der' });
+    const stored = { public_key: other.toString('base64'), algorithm: -7, sign_count: 0 };
+    assert.throws(() => verifyPasskeyAssertion(credential, expected, stored), /Invalid passkey signature/);
+  });
+
+  it('rejects the wrong RP ID hash', () => {
+    const { credential, expected, stored } = ASSERTION_RS256;
+    assert.throws(() => verifyPasskeyAssertion(credential, { ...expected, rpId: 'example.com' }, stored), /different site/);
+    assert.throws(() => verifyPasskeyAssertion(credential, { ...expected, rpId: 'localhost' }, stored), /different site/);
+  });
+
+  it('rejects the wrong challenge or origin', () => {
+    const { credential, expected, stored } = ASSERTION_RS256;
+    assert.throws(() => verifyPasskeyAssertion(credential, { ...expected, challenge: ASSERTION_ES256.expected.challenge }, stored), /Challenge mismatch/);
+    assert.throws(() => verifyPasskeyAssertion(credential, { ...expected, origins: ['http://webauthn.org'] }, stored), /not allowed/);
+  });
+
+  it('requires user verification unless turned off', () => {
+    const { credential, expected, stored } = ASSERTION_ES256;
+    assert.throws(() => verifyPasskeyAssertion(credential, { ...expected, requireUserVerification: true }, stored), /User verification required/);
+  });
+
+  it('rejects a sign counter that did not go up', () => {
+    const { credential, expected, stored } = ASSERTION_ES256;
+    assert.throws(() => verifyPasskeyAssertion(credential, expected, { ...stored, sign_count: 363 }), /counter went backwards/);
+    assert.throws(() => verifyPasskeyAssertion(credential, expected, { ...stored, sign_count: 1000 }), /counter went backwards/);
+    assert.equal(verifyPasskeyAssertion(credential, expected, { ...stored, sign_count: 362 }), 363);
+  });
+});